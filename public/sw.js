@@ -0,0 +1,58 @@
+// Keeps face detection working offline. The BlazeFace and Face Mesh models
+// are precached on install; they and the TF.js WASM binaries are then served
+// cache-first. Everything else goes to the network as usual.
+const CACHE_NAME = 'avatarOS-models-v2';
+const MODEL_MANIFESTS = [
+  'models/blazeface/model.json',
+  'models/face_mesh/landmarks/model.json'
+];
+
+const isModelAsset = (url) => url.pathname.includes('/models/') || url.pathname.endsWith('.wasm');
+
+// model.json plus the weight shards it lists
+async function precacheModel(path) {
+  const cache = await caches.open(CACHE_NAME);
+  const manifestUrl = new URL(path, self.registration.scope).href;
+
+  const response = await fetch(manifestUrl);
+  if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+  const manifest = await response.clone().json();
+
+  const shards = manifest.weightsManifest
+    .flatMap(group => group.paths)
+    .map(shard => new URL(shard, manifestUrl).href);
+  await cache.addAll(shards);
+  await cache.put(manifestUrl, response);
+}
+
+self.addEventListener('install', (event) => {
+  // Each model is optional: one failing doesn't keep the others out of the cache
+  event.waitUntil(
+    Promise.all(MODEL_MANIFESTS.map(path => precacheModel(path)
+      .catch(error => console.warn('Face model not precached:', error.message))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || !isModelAsset(url)) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(event.request);
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  })());
+});
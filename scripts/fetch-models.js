@@ -0,0 +1,45 @@
+// Copies the face models into public/models, where the app serves them from
+// its own assets (see BUNDLED_FACE_MODEL_URL and BUNDLED_FACE_MESH_URL in
+// src/services/cameraSettings.js). The files are committed; run
+// `npm run fetch-models` only to refresh them.
+//
+// They come from the @vladmandic/human-models package (TF.js conversions of
+// the MediaPipe models), so only the npm registry is needed. BlazeFace uses
+// the short-range face detector, which has BlazeFace's 128px input and
+// 896-anchor output; Face Mesh reuses it as its detector.
+import { execFileSync } from 'node:child_process';
+import { copyFile, mkdir, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const PACKAGE = '@vladmandic/human-models@3.0.4';
+const MODELS = [
+  { source: 'facemesh-detection-short', target: 'blazeface/' },
+  { source: 'facemesh', target: 'face_mesh/landmarks/' }
+];
+const MODELS_DIR = new URL('../public/models/', import.meta.url);
+
+const run = (command, args, cwd) => execFileSync(command, args, { cwd, encoding: 'utf8', shell: process.platform === 'win32' });
+
+const workDir = await mkdtemp(join(tmpdir(), 'avatarOS-models-'));
+try {
+  const tarball = run('npm', ['pack', PACKAGE, '--silent'], workDir).trim().split('\n').pop();
+  const sources = MODELS.map(model => `package/models/${model.source}.json`);
+  run('tar', ['-xzf', tarball, ...sources, ...sources.map(path => path.replace(/\.json$/, '.bin'))], workDir);
+
+  for (const model of MODELS) {
+    const from = join(workDir, 'package', 'models', `${model.source}.json`);
+    const target = new URL(model.target, MODELS_DIR);
+    await mkdir(target, { recursive: true });
+
+    // model.json keeps the original weight file names it lists
+    const manifest = JSON.parse(await readFile(from, 'utf8'));
+    await copyFile(from, new URL('model.json', target));
+    for (const path of manifest.weightsManifest.flatMap(group => group.paths)) {
+      await copyFile(join(workDir, 'package', 'models', path), new URL(path, target));
+    }
+  }
+  console.log(`Copied ${MODELS.length} models from ${PACKAGE} into public/models`);
+} finally {
+  await rm(workDir, { recursive: true, force: true });
+}
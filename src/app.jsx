@@ -1,8 +1,79 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Camera, Video, CheckCircle, XCircle, RefreshCcw, ChevronRight, Shield, User, AlertCircle, Loader2, ScanFace, MoveLeft, MoveRight, MoveUp, MoveDown, BadgeCheck, Zap, Fingerprint, Sun, Moon, CameraOff, Sparkles } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Camera, Video, Library, History, Settings, CheckCircle, XCircle, RefreshCcw, ChevronRight, Shield, User, AlertCircle, Loader2, ScanFace, MoveLeft, MoveRight, MoveUp, MoveDown, BadgeCheck, Zap, Fingerprint, Sun, Moon, CameraOff, Sparkles } from 'lucide-react';
 import { useFaceDetection } from './hooks/useFaceDetection';
+import { useMediaRecorder } from './hooks/useMediaRecorder';
+import { useCameraDevices } from './hooks/useCameraDevices';
 import { personaStorage, captureFrameFromVideo } from './services/personaStorage';
+import { frameQuality } from './services/frameQuality';
+import { cameraSettings, RESOLUTIONS, DETECTION_FPS_OPTIONS, FACE_DETECTORS } from './services/cameraSettings';
+import { personaProcessing, PROCESSING_STAGES } from './services/personaProcessing';
+import { CAPTURE_PLAN, poseMatches, expressionMatches } from './services/capturePlan';
 import { GeminiStudio } from './components/GeminiStudio';
+import { PersonaLibrary } from './components/PersonaLibrary';
+
+// --- Scan Sequence ---
+
+// Movement guide icon for each volumetric sequence phase
+const PHASE_ICONS = {
+  center: ScanFace,
+  left: MoveLeft,
+  right: MoveRight,
+  up: MoveUp,
+  down: MoveDown,
+};
+
+// Default time a target pose must be held before its frame is captured
+const POSE_HOLD_MS = 600;
+// Without a face model poses can't be checked, so each phase of the guided
+// scan is given this long before its frame is taken
+const MANUAL_PHASE_MS = 2500;
+
+const relativePose = (pose, neutral) => neutral ? {
+  yaw: pose.yaw - neutral.yaw,
+  pitch: pose.pitch - neutral.pitch,
+  roll: pose.roll - neutral.roll
+} : pose;
+
+const roundPose = (pose) => ({
+  yaw: Math.round(pose.yaw * 10) / 10,
+  pitch: Math.round(pose.pitch * 10) / 10,
+  roll: Math.round(pose.roll * 10) / 10
+});
+
+// HUD warning unless exactly one face is in frame. A second face could be the
+// one measured and captured, so capture waits until it's gone.
+const faceCountIssue = (faceCount) => {
+  if (faceCount === 0) return "No face detected";
+  if (faceCount > 1) return `${faceCount} faces in frame · only you should be visible`;
+  return null;
+};
+
+// Dense landmarks as stored with a capture: mirrored like the saved image and
+// rounded to 0.1px. Null unless Face Mesh is the detector.
+const storedMesh = (mesh, videoWidth) => mesh && mesh.map(([x, y, z]) => [
+  Math.round((videoWidth - x) * 10) / 10,
+  Math.round(y * 10) / 10,
+  Math.round(z * 10) / 10
+]);
+
+// --- Wizard Steps ---
+
+// Intro, one step per capture-plan stage, then processing, success and studio.
+// The persona library sits outside the linear flow.
+const STAGE_COUNT = CAPTURE_PLAN.length;
+const PROCESSING_STEP = STAGE_COUNT + 1;
+const SUCCESS_STEP = STAGE_COUNT + 2;
+const STUDIO_STEP = STAGE_COUNT + 3;
+const LIBRARY_STEP = STAGE_COUNT + 4;
+
+// A resumed capture continues at the step saved in its session, but never
+// past the first stage without a stored asset
+const getResumeStep = (persona) => {
+  const index = CAPTURE_PLAN.findIndex(stage => !persona.stageAssets?.[stage.id]);
+  const firstMissing = index === -1 ? PROCESSING_STEP : index + 1;
+  const saved = persona.session?.step;
+  return saved >= 1 && saved < firstMissing ? saved : firstMissing;
+};
 
 // --- Components ---
 
@@ -23,46 +94,91 @@ const StepIndicator = ({ currentStep, totalSteps }) => {
   );
 };
 
-const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = false }) => {
+const CameraView = ({ stage, onCapture, onFrameCapture }) => {
+  const isVideo = stage.capture === 'video';
+  const autoStart = isVideo;
+  const recordAudio = !!stage.recordAudio;
+  const sequence = stage.sequence || [];
+  const holdMs = stage.acceptance?.holdMs ?? POSE_HOLD_MS;
+  const qualityOverrides = stage.acceptance?.quality;
+
   const videoRef = useRef(null);
+  const streamRef = useRef(null);
   const [hasStream, setHasStream] = useState(false);
   const [cameraError, setCameraError] = useState(false);
+  const [settings, setSettings] = useState(() => cameraSettings.load());
+  const [activeCamera, setActiveCamera] = useState(null); // { deviceId, width, height } of the open stream
+  const [streamRequest, setStreamRequest] = useState(0); // Bump to reopen the camera
+  const [showSettings, setShowSettings] = useState(false);
+  const { devices, refresh: refreshDevices } = useCameraDevices();
 
   const [isRecording, setIsRecording] = useState(false);
   const [progress, setProgress] = useState(0);
   const [detectionState, setDetectionState] = useState(autoStart ? "initializing" : "idle");
   const [flash, setFlash] = useState(false);
   const [moveInstruction, setMoveInstruction] = useState(0);
+  const [isHoldingPose, setIsHoldingPose] = useState(false);
+  const [qualityIssue, setQualityIssue] = useState(null);
+  const qualityIssueTimeoutRef = useRef(null);
   const [capturedFrames, setCapturedFrames] = useState([]);
 
-  // Real face detection with BlazeFace
-  const { isLoading: isModelLoading, faceData, isModelReady } = useFaceDetection(
+  // Real video recording of the guided sequence (volumetric scan only)
+  const { isSupported: canRecord, start: startRecording, stop: stopRecording } = useMediaRecorder();
+
+  // Real face detection with the chosen detector (BlazeFace or Face Mesh)
+  const { isLoading: isModelLoading, error: modelError, faceData, getLatestFaceData, isModelReady, status: modelStatus, diagnostics: detectionDiagnostics } = useFaceDetection(
     videoRef,
-    hasStream && !cameraError && (isVideo || detectionState !== "idle")
-  ); 
+    hasStream && !cameraError,
+    {
+      targetFps: settings.detectionFps,
+      detector: settings.detector,
+      modelSources: cameraSettings.getFaceModelSources(settings)
+    }
+  );
+
+  // Face model failed to load: capture without face checks rather than wait
+  // forever. The demo override in the settings does the same on purpose.
+  const manualCapture = !!modelError || settings.faceGuardOverride;
+
+  // Shown (and capture blocked) while there isn't exactly one face in frame
+  const faceIssue = !manualCapture && isModelReady && !cameraError ? faceCountIssue(faceData.faceCount) : null;
 
   // --- Real Camera Implementation ---
+  // Only the device and resolution reopen the stream; other settings don't touch the camera
+  const { deviceId, resolutionId } = settings;
   useEffect(() => {
     let stream = null;
+    let cancelled = false;
 
     const startCamera = async () => {
       try {
-        stream = await navigator.mediaDevices.getUserMedia({ 
-          video: { 
-            facingMode: 'user',
-            width: { ideal: 1280 },
-            height: { ideal: 720 }
-          }, 
-          audio: false 
+        const result = await cameraSettings.openStream({ deviceId, resolutionId }, { audio: isVideo && recordAudio });
+        if (cancelled) {
+          result.stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        stream = result.stream;
+        streamRef.current = stream;
+
+        // An unplugged camera ends its track: reopen (with fallback) instead of freezing the HUD
+        stream.getVideoTracks().forEach(track => {
+          track.addEventListener('ended', () => setStreamRequest(n => n + 1));
         });
-        
+
+        setActiveCamera({ deviceId: result.deviceId, width: result.width, height: result.height });
         if (videoRef.current) {
           videoRef.current.srcObject = stream;
-          setHasStream(true);
-          setCameraError(false);
         }
+        setHasStream(true);
+        setCameraError(false);
+
+        // Device labels only become available once access is granted
+        refreshDevices();
       } catch (err) {
+        if (cancelled) return;
         console.error("Camera access denied or unavailable:", err);
+        setActiveCamera(null);
         setCameraError(true);
         // Fallback: If camera fails, we still allow the UI flow to proceed for demo purposes
         setHasStream(true); 
@@ -72,11 +188,38 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
     startCamera();
 
     return () => {
+      cancelled = true;
       if (stream) {
         stream.getTracks().forEach(track => track.stop());
       }
+      streamRef.current = null;
     };
-  }, []);
+  }, [isVideo, recordAudio, deviceId, resolutionId, streamRequest, refreshDevices]);
+
+  // --- Hot-plug Handling ---
+  const knownDeviceIdsRef = useRef([]);
+  useEffect(() => {
+    const ids = devices.map(device => device.deviceId);
+    // Before permission is granted device IDs are blank and can't be compared
+    if (ids.some(id => !id)) return;
+
+    const added = ids.filter(id => !knownDeviceIdsRef.current.includes(id));
+    knownDeviceIdsRef.current = ids;
+
+    const activeRemoved = activeCamera?.deviceId && !ids.includes(activeCamera.deviceId);
+    const preferredReturned = settings.deviceId && activeCamera?.deviceId !== settings.deviceId && added.includes(settings.deviceId);
+    const cameraAppeared = cameraError && added.length > 0;
+
+    if (activeRemoved || preferredReturned || cameraAppeared) {
+      setStreamRequest(n => n + 1);
+    }
+  }, [devices]);
+
+  const handleSettingsChange = (changes) => {
+    setSettings(cameraSettings.save(changes));
+  };
+
+  const usingFallbackDevice = !!(settings.deviceId && activeCamera && activeCamera.deviceId !== settings.deviceId);
 
   // --- Auto-Detection Logic with Real Face Detection ---
   useEffect(() => {
@@ -89,90 +232,207 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
       setDetectionState("scanning");
     }
 
-    // Use real face detection to determine if face is detected and centered
-    if (detectionState === "scanning" && faceData.detected && faceData.centered) {
+    // Use real face detection to determine if a single face is detected and centered
+    const faceLocked = faceData.faceCount === 1 && faceData.centered;
+    if (detectionState === "scanning" && faceLocked) {
       setDetectionState("detected");
     }
 
-    // Start recording once face is locked
+    // Start recording once face is locked; drop the lock if it's lost or joined by another face
     if (detectionState === "detected") {
-      detectTimeout = setTimeout(() => {
-        setDetectionState("recording");
-        setIsRecording(true);
-      }, 1000);
+      if (faceLocked) {
+        detectTimeout = setTimeout(() => {
+          setDetectionState("recording");
+          setIsRecording(true);
+        }, 1000);
+      } else {
+        setDetectionState("scanning");
+      }
     }
 
     return () => {
       clearTimeout(detectTimeout);
     };
-  }, [isVideo, autoStart, detectionState, hasStream, isModelReady, faceData.detected, faceData.centered]);
+  }, [isVideo, autoStart, detectionState, hasStream, isModelReady, faceData.faceCount, faceData.centered]);
+
+  // Briefly show why a frame was rejected by the quality gate
+  const showQualityIssue = useCallback((message) => {
+    setQualityIssue(message);
+    clearTimeout(qualityIssueTimeoutRef.current);
+    qualityIssueTimeoutRef.current = setTimeout(() => setQualityIssue(null), 1500);
+  }, []);
+
+  useEffect(() => () => clearTimeout(qualityIssueTimeoutRef.current), []);
 
   // --- Recording/Movement Logic ---
+  // Keep the latest detection result, capture mode and callbacks readable from the phase loop without restarting it
+  const faceDataRef = useRef(faceData);
+  faceDataRef.current = faceData;
+  const manualCaptureRef = useRef(manualCapture);
+  manualCaptureRef.current = manualCapture;
+  const onCaptureRef = useRef(onCapture);
+  onCaptureRef.current = onCapture;
+  const onFrameCaptureRef = useRef(onFrameCapture);
+  onFrameCaptureRef.current = onFrameCapture;
+
   useEffect(() => {
     let interval;
-    let lastPhase = -1;
     const frames = [];
 
     if (isRecording && isVideo) {
-      const phaseDuration = 2500;
-      const totalPhases = 5;
-      const totalDuration = phaseDuration * totalPhases;
+      let phase = 0;
+      let phaseStart = Date.now();
+      let holdStart = null;
+      let neutralPose = null;
 
-      const startTime = Date.now();
+      // Record the whole guided sequence alongside the per-phase frames
+      startRecording(streamRef.current);
 
       interval = setInterval(() => {
-        const elapsed = Date.now() - startTime;
-        const currentProgress = Math.min((elapsed / totalDuration) * 100, 100);
-        const currentPhase = Math.floor((currentProgress / 100) * totalPhases);
-
-        setProgress(currentProgress);
-        setMoveInstruction(currentPhase);
+        // Poses only count with a single face in frame
+        const { faceCount, pose } = faceDataRef.current;
+        const target = sequence[phase];
+        const measured = faceCount === 1 && pose ? relativePose(pose, neutralPose) : null;
+        const now = Date.now();
+
+        const inPose = manualCaptureRef.current
+          ? now - phaseStart >= MANUAL_PHASE_MS
+          : measured && poseMatches(measured, target.pose);
+        if (inPose) {
+          holdStart = holdStart ?? now;
+        } else {
+          holdStart = null;
+        }
 
-        // Capture frame at each phase change
-        if (currentPhase !== lastPhase && videoRef.current) {
-          const frame = captureFrameFromVideo(videoRef.current);
-          if (frame) {
+        const holdFraction = holdStart ? Math.min((now - holdStart) / holdMs, 1) : 0;
+        setIsHoldingPose(!!holdStart);
+        setProgress(((phase + holdFraction) / sequence.length) * 100);
+
+        // Capture a frame only once the target pose has been held long enough
+        // and the frame passes the quality gate; otherwise restart the hold
+        const quality = holdFraction >= 1 && videoRef.current
+          ? frameQuality.analyze(videoRef.current, faceDataRef.current, qualityOverrides, { requireFace: !manualCaptureRef.current })
+          : null;
+        if (quality && !quality.accepted) {
+          showQualityIssue(quality.feedback);
+          holdStart = null;
+        } else if (quality) {
+          const image = captureFrameFromVideo(videoRef.current);
+          if (image) {
+            const { mesh, expression } = getLatestFaceData();
+            const frame = {
+              image,
+              phase: target.id,
+              pose: measured && roundPose(measured),
+              mesh: storedMesh(mesh, videoRef.current.videoWidth),
+              expression,
+              quality: quality.scores
+            };
             frames.push(frame);
-            if (onFrameCapture) {
-              onFrameCapture(frame);
+            if (onFrameCaptureRef.current) {
+              onFrameCaptureRef.current(frame);
+            }
+
+            // The centre pose becomes the reference for every other phase
+            if (phase === 0) {
+              neutralPose = pose;
             }
+
+            phase += 1;
+            phaseStart = now;
+            holdStart = null;
+            setMoveInstruction(phase);
           }
-          lastPhase = currentPhase;
         }
 
-        if (currentProgress >= 100) {
+        if (phase >= sequence.length) {
           clearInterval(interval);
           setIsRecording(false);
+          setIsHoldingPose(false);
+          setProgress(100);
           setCapturedFrames(frames);
-          onCapture(frames);
+          stopRecording().then(recording => onCaptureRef.current(frames, recording));
         }
       }, 50);
     }
     return () => clearInterval(interval);
-  }, [isRecording, isVideo, onCapture, onFrameCapture]);
+  }, [isRecording, isVideo, sequence, holdMs, qualityOverrides, startRecording, stopRecording, showQualityIssue, getLatestFaceData]);
 
   const handleManualCapture = () => {
-    if (isVideo) return;
+    // The guided scan normally starts itself once a face is locked
+    if (isVideo) {
+      if (manualCapture && !isRecording) {
+        setDetectionState("recording");
+        setIsRecording(true);
+      }
+      return;
+    }
+
+    // Without a camera there is nothing to score; let the demo flow continue
+    if (cameraError) {
+      onCapture(null);
+      return;
+    }
+
+    // The stage's expected pose and expression must be met first
+    const stageIssue = getStageIssue();
+    if (stageIssue) {
+      showQualityIssue(stageIssue);
+      return;
+    }
+
+    // Reject blurry, badly exposed or badly framed shots before saving them
+    const quality = frameQuality.analyze(videoRef.current, faceData, qualityOverrides, { requireFace: !manualCapture });
+    if (!quality.accepted) {
+      showQualityIssue(quality.feedback);
+      return;
+    }
+
     setFlash(true);
     setTimeout(() => setFlash(false), 200);
 
     // Capture actual frame from video
-    const frame = captureFrameFromVideo(videoRef.current);
+    const image = captureFrameFromVideo(videoRef.current);
+    const latest = getLatestFaceData();
+    const frame = image ? {
+      image,
+      quality: quality.scores,
+      pose: faceData.pose && roundPose(faceData.pose),
+      mesh: storedMesh(latest.mesh, videoRef.current.videoWidth),
+      expression: latest.expression
+    } : null;
     if (onFrameCapture && frame) {
       onFrameCapture(frame);
     }
     onCapture(frame);
   };
 
+  // First unmet expectation of a photo stage, or null when ready to capture
+  const getStageIssue = () => {
+    if (manualCapture) return null;
+    const countIssue = faceCountIssue(faceData.faceCount);
+    if (countIssue) return countIssue;
+    if (stage.acceptance?.requireCentered && !faceData.centered) return "Center your face";
+    if (!poseMatches(faceData.pose, stage.expected?.pose)) return stage.poseHint || "Look straight at the camera";
+    if (!expressionMatches(faceData, stage.expected?.expression)) return stage.expressionHint || "Hold the expression";
+    return null;
+  };
+
+  const isStageReady = !isVideo && !getStageIssue();
+
   const getFeedbackText = () => {
     if (cameraError) return "Camera Unavailable";
     if (!hasStream) return "Initializing Camera...";
-    if (isModelLoading) return "Loading AI Model...";
+    if (isModelLoading) return modelStatus || "Loading AI Model...";
+    if (qualityIssue) return qualityIssue;
+    if (manualCapture && !isRecording) {
+      const reason = modelError ? "Face model unavailable" : "Face checks off";
+      return `${reason} · ${isVideo ? "tap to record" : "tap to capture"}`;
+    }
+    if (faceIssue) return faceIssue;
 
     if (!isVideo) {
-      if (faceData.detected && faceData.centered) return "Perfect! Tap to capture";
-      if (faceData.detected) return "Center your face";
-      return "Position face in frame";
+      return getStageIssue() || "Perfect! Tap to capture";
     }
     if (detectionState === "scanning") {
       if (faceData.detected && !faceData.centered) return "Center your face";
@@ -180,8 +440,8 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
     }
     if (detectionState === "detected") return "Face Locked";
     if (isRecording) {
-      const instructions = ["Look Center", "Turn Left", "Turn Right", "Look Up", "Look Down"];
-      return instructions[moveInstruction] || "Processing";
+      if (isHoldingPose) return "Hold it...";
+      return sequence[moveInstruction]?.instruction || "Processing";
     }
     return "Ready";
   };
@@ -195,14 +455,10 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
     if (cameraError) return <CameraOff className="w-16 h-16 text-red-500" />;
     
     if (isRecording) {
-        switch (moveInstruction) {
-        case 0: return <ScanFace className={iconClass + " opacity-50"} />;
-        case 1: return <MoveLeft className={iconClass} />;
-        case 2: return <MoveRight className={iconClass} />;
-        case 3: return <MoveUp className={iconClass} />;
-        case 4: return <MoveDown className={iconClass} />;
-        default: return null;
-        }
+        const phaseId = sequence[moveInstruction]?.id;
+        const PhaseIcon = PHASE_ICONS[phaseId];
+        if (!PhaseIcon) return null;
+        return <PhaseIcon className={iconClass + (phaseId === 'center' ? " opacity-50" : "")} />;
     }
     
     if (detectionState === 'scanning') return <ScanFace className="w-24 h-24 text-yellow-500/50 animate-pulse" />;
@@ -215,15 +471,15 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
       
       {/* 1. Video Layer (The Base) */}
       <div className="absolute inset-0 bg-gray-900 flex items-center justify-center overflow-hidden">
-        {!cameraError ? (
-          <video 
-            ref={videoRef}
-            autoPlay 
-            playsInline 
-            muted 
-            className="w-full h-full object-cover transform scale-x-[-1]" // Mirror effect
-          />
-        ) : (
+        {/* Kept mounted while in error so a hot-plugged camera can attach to it */}
+        <video 
+          ref={videoRef}
+          autoPlay 
+          playsInline 
+          muted 
+          className={`w-full h-full object-cover transform scale-x-[-1] ${cameraError ? 'hidden' : ''}`} // Mirror effect
+        />
+        {cameraError && (
            /* Fallback Pattern if no camera */
            <div className="absolute inset-0 opacity-20" 
              style={{ backgroundImage: 'radial-gradient(circle, #fbbf24 1px, transparent 1px)', backgroundSize: '24px 24px' }}>
@@ -237,8 +493,10 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
         {/* Face Alignment Guide (Oval) */}
         {!isRecording && detectionState !== 'recording' && !cameraError && (
              <div className={`absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-[60%] w-64 h-80 border-2 rounded-[50%] box-border transition-colors duration-500 ${
-               faceData.detected && faceData.centered
+               (isVideo ? faceData.faceCount === 1 && faceData.centered : isStageReady)
                  ? 'border-green-500 shadow-[0_0_20px_rgba(34,197,94,0.5)]'
+                 : faceIssue && faceData.faceCount > 1
+                 ? 'border-red-500'
                  : faceData.detected
                  ? 'border-yellow-500'
                  : 'border-white/20'
@@ -289,17 +547,151 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
         {/* Top HUD Text */}
         <div className="absolute top-12 left-0 right-0 flex justify-center">
             <div className="px-6 py-2 rounded-full bg-black/60 backdrop-blur-md border border-white/10 text-center">
-                <p className={`text-lg font-bold tracking-wide transition-all duration-300 ${isRecording ? 'text-yellow-400' : 'text-white'}`}>
+                <p className={`text-lg font-bold tracking-wide transition-all duration-300 ${qualityIssue || faceIssue ? 'text-red-400' : isRecording ? 'text-yellow-400' : 'text-white'}`}>
                 {getFeedbackText()}
                 </p>
                 {isRecording && (
                 <p className="text-yellow-200/60 text-[10px] font-mono tracking-widest uppercase mt-1">
                     Rec: {Math.round(progress)}%
+                    {faceData.pose && ` · Yaw ${Math.round(faceData.pose.yaw)}° · Pitch ${Math.round(faceData.pose.pitch)}°`}
                 </p>
                 )}
             </div>
         </div>
 
+        {/* Camera Settings */}
+        {!isRecording && (
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            className="absolute top-3 right-3 z-30 p-2 rounded-full bg-black/60 backdrop-blur-md border border-white/10 text-white/80 hover:text-white transition-colors"
+            title="Camera settings"
+          >
+            <Settings className="w-4 h-4" />
+          </button>
+        )}
+
+        {showSettings && !isRecording && (
+          <div className="absolute top-14 left-3 right-3 z-30 p-4 space-y-3 rounded-2xl bg-black/80 backdrop-blur-md border border-white/10 text-left">
+            <label className="block">
+              <span className="text-[10px] font-bold uppercase tracking-wider text-white/60">Camera</span>
+              <select
+                value={settings.deviceId || ''}
+                onChange={(e) => handleSettingsChange({ deviceId: e.target.value || null })}
+                className="mt-1 w-full px-3 py-2 bg-neutral-900 border border-white/10 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                <option value="">Default front camera</option>
+                {devices.filter(device => device.deviceId).map((device, index) => (
+                  <option key={device.deviceId} value={device.deviceId}>
+                    {device.label || `Camera ${index + 1}`}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-[10px] font-bold uppercase tracking-wider text-white/60">Resolution</span>
+              <select
+                value={settings.resolutionId}
+                onChange={(e) => handleSettingsChange({ resolutionId: e.target.value })}
+                className="mt-1 w-full px-3 py-2 bg-neutral-900 border border-white/10 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                {RESOLUTIONS.map(resolution => (
+                  <option key={resolution.id} value={resolution.id}>{resolution.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-[10px] font-bold uppercase tracking-wider text-white/60">Face Detection Rate</span>
+              <select
+                value={settings.detectionFps}
+                onChange={(e) => handleSettingsChange({ detectionFps: Number(e.target.value) })}
+                className="mt-1 w-full px-3 py-2 bg-neutral-900 border border-white/10 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                {DETECTION_FPS_OPTIONS.map(fps => (
+                  <option key={fps} value={fps}>{fps} fps{fps <= 10 ? ' (low-end devices)' : ''}</option>
+                ))}
+              </select>
+            </label>
+            <p className="text-[10px] font-mono text-white/50">
+              {activeCamera ? `Active: ${activeCamera.width}×${activeCamera.height}` : 'No camera active'}
+            </p>
+            <label className="block">
+              <span className="text-[10px] font-bold uppercase tracking-wider text-white/60">Face Detector</span>
+              <select
+                value={settings.detector}
+                onChange={(e) => handleSettingsChange({ detector: e.target.value })}
+                className="mt-1 w-full px-3 py-2 bg-neutral-900 border border-white/10 rounded-lg text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+              >
+                {FACE_DETECTORS.map(detector => (
+                  <option key={detector.id} value={detector.id}>{detector.label}</option>
+                ))}
+              </select>
+            </label>
+            {settings.detector === 'facemesh' ? (
+              <label className="block">
+                <span className="text-[10px] font-bold uppercase tracking-wider text-white/60">Face Mesh Folder URL</span>
+                <input
+                  key="faceMeshUrl"
+                  type="url"
+                  defaultValue={settings.faceMeshUrl || ''}
+                  onBlur={(e) => {
+                    const faceMeshUrl = e.target.value.trim() || null;
+                    if (faceMeshUrl !== settings.faceMeshUrl) handleSettingsChange({ faceMeshUrl });
+                  }}
+                  placeholder="Bundled (models/face_mesh/)"
+                  className="mt-1 w-full px-3 py-2 bg-neutral-900 border border-white/10 rounded-lg text-sm text-white placeholder-white/30 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                />
+              </label>
+            ) : (
+              <label className="block">
+                <span className="text-[10px] font-bold uppercase tracking-wider text-white/60">Face Model URL</span>
+                <input
+                  key="faceModelUrl"
+                  type="url"
+                  defaultValue={settings.faceModelUrl || ''}
+                  onBlur={(e) => {
+                    const faceModelUrl = e.target.value.trim() || null;
+                    if (faceModelUrl !== settings.faceModelUrl) handleSettingsChange({ faceModelUrl });
+                  }}
+                  placeholder="Bundled (models/blazeface/model.json)"
+                  className="mt-1 w-full px-3 py-2 bg-neutral-900 border border-white/10 rounded-lg text-sm text-white placeholder-white/30 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                />
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-xs text-white/70">
+              <input
+                type="checkbox"
+                checked={settings.faceGuardOverride}
+                onChange={(e) => handleSettingsChange({ faceGuardOverride: e.target.checked })}
+                className="accent-yellow-500"
+              />
+              Allow capture without one centred face (demos)
+            </label>
+            <p className="text-[10px] font-mono text-white/50">
+              {detectionDiagnostics
+                ? `Detection: ${detectionDiagnostics.backend.toUpperCase()} · ${Math.round(detectionDiagnostics.averageMs)} ms/frame`
+                : isModelLoading ? 'Detection: loading...' : 'Detection: unavailable'}
+            </p>
+            {modelError && (
+              <p className="text-[10px] font-mono text-red-400">{modelError}</p>
+            )}
+            {detectionDiagnostics && (
+              <p className="text-[10px] font-mono text-white/30">
+                {detectionDiagnostics.results
+                  .map(result => `${result.backend} ${result.ok ? `${Math.round(result.inferenceMs)} ms` : 'n/a'}`)
+                  .join(' · ')}
+              </p>
+            )}
+          </div>
+        )}
+
+        {usingFallbackDevice && !showSettings && (
+          <div className="absolute top-28 left-0 right-0 flex justify-center pointer-events-none">
+            <p className="px-3 py-1 rounded-full bg-black/60 text-[10px] font-medium text-yellow-300">
+              Selected camera unavailable · using default
+            </p>
+          </div>
+        )}
+
         {/* Flash Overlay */}
         <div className={`absolute inset-0 bg-white pointer-events-none transition-opacity duration-100 ${flash ? 'opacity-100' : 'opacity-0'}`} />
       </div>
@@ -314,7 +706,7 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
 
       {/* 4. Bottom Controls */}
       <div className="absolute bottom-0 w-full h-32 bg-gradient-to-t from-black via-black/80 to-transparent flex items-center justify-center pb-6 z-30">
-        {!isVideo ? (
+        {!isVideo || (manualCapture && !isRecording) ? (
           <button
             onClick={handleManualCapture}
             disabled={!hasStream && !cameraError}
@@ -331,7 +723,9 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
                     <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-yellow-400 opacity-75"></span>
                     <span className="relative inline-flex rounded-full h-3 w-3 bg-yellow-500"></span>
                   </span>
-                  <span className="text-yellow-400 text-xs font-bold tracking-widest uppercase">Capturing Mesh</span>
+                  <span className="text-yellow-400 text-xs font-bold tracking-widest uppercase">
+                    {canRecord && !cameraError ? 'Recording Video' : 'Capturing Mesh'}
+                  </span>
                 </>
              ) : (
                 <span className="text-neutral-400 text-xs font-medium tracking-wider uppercase flex items-center gap-2">
@@ -346,40 +740,105 @@ const CameraView = ({ onCapture, onFrameCapture, isVideo = false, autoStart = fa
   );
 };
 
-const ValidationLoader = ({ onComplete }) => {
-  const [status, setStatus] = useState("Initializing upload...");
-  const [progress, setProgress] = useState(0);
-
-  const steps = [
-    { msg: "Uploading High-Res Textures...", time: 0 },
-    { msg: "Processing Point Cloud...", time: 2000 },
-    { msg: "Mapping Facial Topology...", time: 4000 },
-    { msg: "Calculating Depth Vectors...", time: 6000 },
-    { msg: "Rendering 3D Mesh...", time: 8000 },
-  ];
+const RecordingPlayer = ({ personaId }) => {
+  const [videoUrl, setVideoUrl] = useState(null);
 
   useEffect(() => {
-    const totalTime = 9000; 
-    const startTime = Date.now();
+    if (!personaId) return;
 
-    const interval = setInterval(() => {
-      const elapsed = Date.now() - startTime;
-      const p = Math.min((elapsed / totalTime) * 100, 100);
-      setProgress(p);
+    let url = null;
+    let isMounted = true;
 
-      const currentStep = steps.slice().reverse().find(s => elapsed >= s.time);
-      if (currentStep) {
-        setStatus(currentStep.msg);
+    personaStorage.loadVideoRecording(personaId).then(blob => {
+      if (blob && isMounted) {
+        url = URL.createObjectURL(blob);
+        setVideoUrl(url);
       }
+    });
 
-      if (elapsed >= totalTime) {
-        clearInterval(interval);
-        onComplete();
-      }
-    }, 50);
+    return () => {
+      isMounted = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [personaId]);
 
-    return () => clearInterval(interval);
-  }, []);
+  if (!videoUrl) return null;
+
+  return (
+    <div className="w-full max-w-xs rounded-2xl overflow-hidden border border-gray-200 dark:border-neutral-800 bg-black">
+      <video
+        src={videoUrl}
+        controls
+        playsInline
+        className="w-full aspect-[4/3] object-cover transform scale-x-[-1]" // Match the mirrored preview
+      />
+      <div className="px-4 py-2 text-[10px] font-mono tracking-widest uppercase text-neutral-400 flex items-center gap-2">
+        <Video className="w-3 h-3 text-yellow-500" /> Voice &amp; Motion Sample
+      </div>
+    </div>
+  );
+};
+
+// Runs the local processing pipeline over the persona's captures and shows
+// real per-stage progress
+const ValidationLoader = ({ personaId, onComplete }) => {
+  const [progressEvent, setProgressEvent] = useState(null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  useEffect(() => {
+    // Demo flow without a persona: nothing to process
+    if (!personaId) {
+      onCompleteRef.current(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    setError(null);
+    setProgressEvent(null);
+
+    personaProcessing.run(personaId, { signal: controller.signal, onProgress: setProgressEvent })
+      .then(result => onCompleteRef.current(result))
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error('Processing failed:', err);
+        setError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [personaId, attempt]);
+
+  const progress = (progressEvent?.progress || 0) * 100;
+  const currentIndex = progressEvent?.stageIndex ?? 0;
+  const status = progressEvent
+    ? `${progressEvent.label} (${progressEvent.completed}/${progressEvent.total})`
+    : 'Starting processing...';
+
+  if (error) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 space-y-6 animate-in fade-in duration-500 w-full text-center">
+        <AlertCircle className="w-12 h-12 text-red-500" />
+        <div className="space-y-1">
+          <h3 className="text-xl font-bold text-gray-900 dark:text-white">Processing failed</h3>
+          <p className="text-sm text-gray-500 dark:text-neutral-400">{error}</p>
+        </div>
+        <button
+          onClick={() => setAttempt(n => n + 1)}
+          className="w-full max-w-xs bg-yellow-500 hover:bg-yellow-400 text-black font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
+        >
+          <RefreshCcw className="w-4 h-4" /> Retry
+        </button>
+        <button
+          onClick={() => onComplete(null)}
+          className="text-gray-500 hover:text-gray-900 dark:text-neutral-400 dark:hover:text-white text-sm font-medium transition-colors"
+        >
+          Continue without processing
+        </button>
+      </div>
+    );
+  }
 
   return (
     <div className="flex flex-col items-center justify-center py-12 animate-in fade-in duration-700 w-full">
@@ -426,65 +885,243 @@ const ValidationLoader = ({ onComplete }) => {
         <h3 className="text-2xl font-bold text-gray-900 dark:text-white tracking-tight">{Math.round(progress)}%</h3>
         <p className="text-yellow-600 dark:text-yellow-400 font-medium text-sm uppercase tracking-widest animate-pulse">{status}</p>
       </div>
+
+      <div className="mt-8 w-full max-w-xs space-y-2">
+        {PROCESSING_STAGES.map((stage, index) => {
+          const isDone = index < currentIndex || (index === currentIndex && progressEvent?.completed === progressEvent?.total);
+          const isActive = index === currentIndex && !isDone;
+          return (
+            <div key={stage.id} className="flex items-center gap-3 text-sm">
+              {isDone ? (
+                <CheckCircle className="w-4 h-4 text-emerald-500" />
+              ) : isActive ? (
+                <Loader2 className="w-4 h-4 text-yellow-500 animate-spin" />
+              ) : (
+                <div className="w-4 h-4 rounded-full border-2 border-gray-300 dark:border-neutral-700" />
+              )}
+              <span className={isDone || isActive ? 'text-gray-900 dark:text-white' : 'text-gray-400 dark:text-neutral-600'}>
+                {stage.label}
+              </span>
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 };
 
+// Strip of the normalized face crops produced by processing
+const NormalizedCrops = ({ processing, limit = 6 }) => {
+  const [urls, setUrls] = useState([]);
+  const cropIds = Object.values(processing?.frames || {})
+    .map(frame => frame.cropId)
+    .filter(Boolean)
+    .slice(0, limit);
+  const cropKey = cropIds.join(',');
+
+  useEffect(() => {
+    if (!cropKey) return;
+
+    let isMounted = true;
+    let created = [];
+
+    Promise.all(cropKey.split(',').map(id => personaStorage.getBlob(id))).then(blobs => {
+      created = blobs.filter(Boolean).map(blob => URL.createObjectURL(blob));
+      if (isMounted) setUrls(created);
+    });
+
+    return () => {
+      isMounted = false;
+      created.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [cropKey]);
+
+  if (urls.length === 0) return null;
+
+  return (
+    <div className="w-full max-w-xs grid grid-cols-6 gap-1.5">
+      {urls.map(url => (
+        <img key={url} src={url} alt="Normalized face crop" className="w-full aspect-square rounded-lg object-cover" />
+      ))}
+    </div>
+  );
+};
+
+const formatRange = (range) => (range ? `${Math.round(range[0])}°…${Math.round(range[1])}°` : '—');
+
 export default function IdentityVerificationApp() {
   const [step, setStep] = useState(0);
-  const [photoTaken, setPhotoTaken] = useState(false);
-  const [videoTaken, setVideoTaken] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(true);
   const [currentPersona, setCurrentPersona] = useState(null);
+  const [recaptureStageId, setRecaptureStageId] = useState(null); // Set when redoing one stage from the library
+  const [resumeCandidate, setResumeCandidate] = useState(null);
+  const [startError, setStartError] = useState(null);
+
+  // On the intro screen, drop abandoned drafts and offer to resume the latest one
+  useEffect(() => {
+    if (step !== 0) return;
+
+    let isMounted = true;
+    const checkForDraft = async () => {
+      await personaStorage.cleanupDrafts();
+      const draft = await personaStorage.getResumable();
+      if (isMounted) setResumeCandidate(draft);
+    };
+    checkForDraft();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [step]);
+
+  // Persist the wizard position while capturing (not while redoing a single stage)
+  const currentPersonaId = currentPersona?.id;
+  useEffect(() => {
+    if (!currentPersonaId || recaptureStageId || step < 1 || step > PROCESSING_STEP) return;
+    personaStorage.saveSession(currentPersonaId, {
+      step,
+      stageId: CAPTURE_PLAN[step - 1]?.id || null
+    });
+  }, [step, currentPersonaId, recaptureStageId]);
 
   // Handlers
   const nextStep = () => setStep(s => s + 1);
 
   // Initialize or get persona when starting capture
-  const handleStartCapture = () => {
-    const persona = personaStorage.create();
+  const handleStartCapture = async () => {
+    setStartError(null);
+    const persona = await personaStorage.create();
+    if (!persona) {
+      // Without a persona record none of the stages could be saved
+      setStartError('Could not create a persona in browser storage. Check that site storage is allowed and not full, then try again.');
+      return;
+    }
     setCurrentPersona(persona);
     nextStep();
   };
 
-  const handlePhotoCapture = (frame) => {
-    if (currentPersona && frame) {
-      personaStorage.saveTexturePhoto(currentPersona.id, frame);
+  const savePhotoStage = async (stage, frame) => {
+    const details = { quality: frame.quality, pose: frame.pose, mesh: frame.mesh, expression: frame.expression };
+    if (stage.role === 'texture') {
+      await personaStorage.saveTexturePhoto(currentPersona.id, frame.image, { ...details, stageId: stage.id });
+    } else {
+      await personaStorage.saveStageAsset(currentPersona.id, stage.id, frame.image, details);
     }
-    setPhotoTaken(true);
-    setTimeout(() => nextStep(), 800);
   };
 
-  const handleVideoCapture = (frames) => {
-    if (currentPersona && frames && Array.isArray(frames)) {
-      frames.forEach(frame => {
-        personaStorage.addVolumetricFrame(currentPersona.id, frame);
+  const saveVideoStage = async (stage, frames, recording) => {
+    // A re-capture replaces the previous sequence instead of appending to it
+    await personaStorage.clearVolumetricFrames(currentPersona.id);
+    for (const frame of frames) {
+      await personaStorage.addVolumetricFrame(currentPersona.id, frame.image, {
+        phase: frame.phase,
+        pose: frame.pose,
+        mesh: frame.mesh,
+        expression: frame.expression,
+        quality: frame.quality
       });
     }
-    setVideoTaken(true);
-    setTimeout(() => nextStep(), 500);
+    if (recording) {
+      await personaStorage.saveVideoRecording(currentPersona.id, recording, { stageId: stage.id });
+    } else {
+      await personaStorage.recordStage(currentPersona.id, stage.id, { type: 'video', blobId: null });
+    }
   };
 
-  const handleValidationComplete = () => {
+  // Photo stages capture a single frame, video stages a frame list plus recording
+  const handleStageCapture = async (stage, captured, recording) => {
     if (currentPersona) {
-      personaStorage.markComplete(currentPersona.id);
-      // Update local state with completed persona
-      setCurrentPersona(personaStorage.getById(currentPersona.id));
+      if (stage.capture === 'video') {
+        await saveVideoStage(stage, Array.isArray(captured) ? captured : [], recording);
+      } else if (captured) {
+        await savePhotoStage(stage, captured);
+      } else {
+        // No camera (demo flow): mark the stage as passed without an asset
+        await personaStorage.recordStage(currentPersona.id, stage.id, { type: 'photo', blobId: null });
+      }
+    }
+
+    const advance = recaptureStageId ? returnToLibrary : nextStep;
+    setTimeout(() => advance(), stage.capture === 'video' ? 500 : 800);
+  };
+
+  // --- Persona Library ---
+  const openLibrary = () => setStep(LIBRARY_STEP);
+
+  const returnToLibrary = () => {
+    setRecaptureStageId(null);
+    setCurrentPersona(null);
+    setStep(LIBRARY_STEP);
+  };
+
+  const handleRecapture = (persona, stageId) => {
+    setCurrentPersona(persona);
+    setRecaptureStageId(stageId);
+    setStep(CAPTURE_PLAN.findIndex(stage => stage.id === stageId) + 1);
+  };
+
+  const handleOpenStudio = async (persona) => {
+    setCurrentPersona(await personaStorage.getById(persona.id, { includeFrames: true }));
+    setStep(STUDIO_STEP);
+  };
+
+  // Processing results are already stored on the persona by the pipeline
+  const handleValidationComplete = async () => {
+    if (currentPersona) {
+      await personaStorage.markComplete(currentPersona.id);
+      // Update local state with completed persona, including frames for the studio
+      setCurrentPersona(await personaStorage.getById(currentPersona.id, { includeFrames: true }));
     }
     nextStep();
   };
 
+  const handleResume = () => {
+    setCurrentPersona(resumeCandidate);
+    setStep(getResumeStep(resumeCandidate));
+    setResumeCandidate(null);
+  };
+
+  const handleDiscardDraft = async () => {
+    await personaStorage.delete(resumeCandidate.id);
+    setResumeCandidate(null);
+  };
+
   const restart = () => {
     setStep(0);
-    setPhotoTaken(false);
-    setVideoTaken(false);
     setCurrentPersona(null);
+    setRecaptureStageId(null);
   };
 
   const toggleTheme = () => setIsDarkMode(!isDarkMode);
 
   // Renders
+  const renderStage = (stage) => (
+    <div className="space-y-6 animate-in fade-in duration-500 w-full">
+       <div className="text-center px-4">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white tracking-wide">{stage.title}</h2>
+          <p className="text-gray-500 dark:text-neutral-400 text-sm mt-1">{stage.prompt}</p>
+       </div>
+       <CameraView
+         key={stage.id}
+         stage={stage}
+         onCapture={(captured, recording) => handleStageCapture(stage, captured, recording)}
+       />
+       {recaptureStageId && (
+         <button
+           onClick={returnToLibrary}
+           className="w-full text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white text-sm font-medium py-2 transition-colors"
+         >
+           Cancel re-capture
+         </button>
+       )}
+    </div>
+  );
+
   const renderStep = () => {
+    if (step >= 1 && step <= STAGE_COUNT) {
+      return renderStage(CAPTURE_PLAN[step - 1]);
+    }
+
     switch (step) {
       case 0: // Intro
         return (
@@ -501,29 +1138,61 @@ export default function IdentityVerificationApp() {
                 AvatarOS
               </h1>
               <p className="text-gray-500 dark:text-neutral-400 text-sm leading-relaxed">
-                Initialize biometric capture sequence. Data will be used to generate high-fidelity 3D mesh.
+                Initialize {STAGE_COUNT}-stage biometric capture sequence. Data will be used to generate high-fidelity 3D mesh.
               </p>
             </div>
 
-            <div className="w-full max-w-xs bg-white dark:bg-neutral-900/50 p-6 rounded-2xl border border-gray-200 dark:border-neutral-800 backdrop-blur-sm space-y-5 text-left shadow-sm dark:shadow-none">
-              <div className="flex items-start gap-4 group">
-                <div className="mt-1 p-2 bg-gray-100 dark:bg-neutral-800 rounded-lg group-hover:bg-yellow-500/20 group-hover:text-yellow-600 dark:group-hover:text-yellow-400 transition-colors text-gray-500 dark:text-neutral-500">
-                  <Camera className="w-5 h-5" />
+            {resumeCandidate && (
+              <div className="w-full max-w-xs p-4 rounded-2xl border border-yellow-500/30 bg-yellow-500/10 text-left space-y-3">
+                <div className="flex items-center gap-3">
+                  {resumeCandidate.texturePhoto ? (
+                    <img src={resumeCandidate.texturePhoto} alt={resumeCandidate.name} className="w-10 h-10 rounded-lg object-cover" />
+                  ) : (
+                    <div className="w-10 h-10 rounded-lg bg-yellow-500/20 flex items-center justify-center">
+                      <History className="w-5 h-5 text-yellow-600 dark:text-yellow-400" />
+                    </div>
+                  )}
+                  <div className="min-w-0">
+                    <span className="text-gray-900 dark:text-neutral-200 font-semibold text-sm block truncate">
+                      Resume capture for {resumeCandidate.name}
+                    </span>
+                    <span className="text-gray-500 dark:text-neutral-400 text-xs">
+                      {CAPTURE_PLAN.filter(stage => resumeCandidate.stageAssets?.[stage.id]).length}/{STAGE_COUNT} stages complete
+                    </span>
+                  </div>
                 </div>
-                <div>
-                  <span className="text-gray-900 dark:text-neutral-200 font-semibold block mb-0.5">Texture Map</span>
-                  <span className="text-gray-500 dark:text-neutral-500 text-xs">High-res static capture.</span>
-                </div>
-              </div>
-              <div className="flex items-start gap-4 group">
-                <div className="mt-1 p-2 bg-gray-100 dark:bg-neutral-800 rounded-lg group-hover:bg-yellow-500/20 group-hover:text-yellow-600 dark:group-hover:text-yellow-400 transition-colors text-gray-500 dark:text-neutral-500">
-                  <Video className="w-5 h-5" />
-                </div>
-                <div>
-                  <span className="text-gray-900 dark:text-neutral-200 font-semibold block mb-0.5">Volumetric Scan</span>
-                  <span className="text-gray-500 dark:text-neutral-500 text-xs">Multi-angle depth geometry acquisition.</span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleResume}
+                    className="flex-1 bg-yellow-500 hover:bg-yellow-400 text-black text-sm font-bold py-2 rounded-lg transition-colors"
+                  >
+                    Resume
+                  </button>
+                  <button
+                    onClick={handleDiscardDraft}
+                    className="px-4 text-gray-500 dark:text-neutral-400 hover:text-red-500 text-sm font-medium py-2 rounded-lg transition-colors"
+                  >
+                    Discard
+                  </button>
                 </div>
               </div>
+            )}
+
+            <div className="w-full max-w-xs bg-white dark:bg-neutral-900/50 p-6 rounded-2xl border border-gray-200 dark:border-neutral-800 backdrop-blur-sm space-y-5 text-left shadow-sm dark:shadow-none">
+              {CAPTURE_PLAN.map(stage => {
+                const StageIcon = stage.capture === 'video' ? Video : Camera;
+                return (
+                  <div key={stage.id} className="flex items-start gap-4 group">
+                    <div className="mt-1 p-2 bg-gray-100 dark:bg-neutral-800 rounded-lg group-hover:bg-yellow-500/20 group-hover:text-yellow-600 dark:group-hover:text-yellow-400 transition-colors text-gray-500 dark:text-neutral-500">
+                      <StageIcon className="w-5 h-5" />
+                    </div>
+                    <div>
+                      <span className="text-gray-900 dark:text-neutral-200 font-semibold block mb-0.5">{stage.title}</span>
+                      <span className="text-gray-500 dark:text-neutral-500 text-xs">{stage.summary}</span>
+                    </div>
+                  </div>
+                );
+              })}
             </div>
 
             <button
@@ -533,35 +1202,27 @@ export default function IdentityVerificationApp() {
               Initialize Capture
               <ChevronRight className="w-5 h-5 group-hover:translate-x-1 transition-transform" />
             </button>
-          </div>
-        );
 
-      case 1: // Photo
-        return (
-          <div className="space-y-6 animate-in fade-in duration-500 w-full">
-             <div className="text-center px-4">
-                <h2 className="text-xl font-bold text-gray-900 dark:text-white tracking-wide">Texture Acquisition</h2>
-                <p className="text-gray-500 dark:text-neutral-400 text-sm mt-1">Remove glasses. Position face in oval guide.</p>
-             </div>
-             <CameraView onCapture={handlePhotoCapture} isVideo={false} />
-          </div>
-        );
+            {startError && (
+              <p className="w-full max-w-xs text-xs text-red-500 dark:text-red-400 flex items-start gap-2 text-left">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" /> {startError}
+              </p>
+            )}
 
-      case 2: // Video
-        return (
-          <div className="space-y-6 animate-in fade-in duration-500 w-full">
-             <div className="text-center px-4">
-                <h2 className="text-xl font-bold text-gray-900 dark:text-white tracking-wide">Volumetric Scan</h2>
-                <p className="text-gray-500 dark:text-neutral-400 text-sm mt-1">Follow the holographic guides.</p>
-             </div>
-             <CameraView onCapture={handleVideoCapture} isVideo={true} autoStart={true} />
+            <button
+              onClick={openLibrary}
+              className="text-gray-500 hover:text-gray-900 dark:text-neutral-400 dark:hover:text-white font-medium flex items-center justify-center gap-2 hover:bg-gray-100 dark:hover:bg-neutral-800 px-6 py-3 rounded-full transition-all"
+            >
+              <Library className="w-4 h-4" /> Persona Library
+            </button>
           </div>
         );
 
-      case 3: // Processing
-        return <ValidationLoader onComplete={handleValidationComplete} />;
+      case PROCESSING_STEP:
+        return <ValidationLoader personaId={currentPersona?.id} onComplete={handleValidationComplete} />;
 
-      case 4: // Success
+      case SUCCESS_STEP: {
+        const processing = currentPersona?.processing;
         return (
           <div className="text-center py-8 space-y-8 animate-in zoom-in-95 duration-500 flex flex-col items-center">
             <div className="relative">
@@ -574,20 +1235,59 @@ export default function IdentityVerificationApp() {
               <p className="text-gray-500 dark:text-neutral-400">Your digital avatar is ready for deployment.</p>
             </div>
 
-            <div className="w-full max-w-xs bg-white dark:bg-neutral-900/50 rounded-2xl border border-gray-200 dark:border-neutral-800 divide-y divide-gray-100 dark:divide-neutral-800 backdrop-blur-sm">
-               <div className="flex justify-between p-4 items-center">
-                 <span className="text-gray-500 dark:text-neutral-400 text-sm">Poly Count</span>
-                 <span className="font-mono text-emerald-600 dark:text-emerald-400 font-bold text-sm">2.4M</span>
-               </div>
-               <div className="flex justify-between p-4 items-center">
-                 <span className="text-gray-500 dark:text-neutral-400 text-sm">Texture</span>
-                 <span className="font-mono text-yellow-600 dark:text-yellow-400 font-bold text-sm">8K RAW</span>
-               </div>
-               <div className="flex justify-between p-4 items-center">
-                 <span className="text-gray-500 dark:text-neutral-400 text-sm">Rigging</span>
-                 <span className="font-mono text-blue-600 dark:text-blue-400 font-bold text-sm">Auto-Weight</span>
-               </div>
-            </div>
+            <RecordingPlayer personaId={currentPersona?.id} />
+
+            <NormalizedCrops processing={processing} />
+
+            {processing ? (
+              <div className="w-full max-w-xs bg-white dark:bg-neutral-900/50 rounded-2xl border border-gray-200 dark:border-neutral-800 divide-y divide-gray-100 dark:divide-neutral-800 backdrop-blur-sm">
+                 <div className="flex justify-between p-4 items-center">
+                   <span className="text-gray-500 dark:text-neutral-400 text-sm">Faces Found</span>
+                   <span className="font-mono text-emerald-600 dark:text-emerald-400 font-bold text-sm">{processing.faceCount}/{processing.frameCount}</span>
+                 </div>
+                 <div className="p-4 space-y-2">
+                   <div className="flex justify-between items-center">
+                     <span className="text-gray-500 dark:text-neutral-400 text-sm">Pose Coverage</span>
+                     <span className="font-mono text-yellow-600 dark:text-yellow-400 font-bold text-sm">
+                       {processing.coverage.covered}/{processing.coverage.total} · {Math.round(processing.coverage.ratio * 100)}%
+                     </span>
+                   </div>
+                   <div className="flex flex-wrap gap-1">
+                     {processing.coverage.targets.map(target => (
+                       <span
+                         key={target.id}
+                         className={`px-2 py-0.5 rounded-full text-[10px] font-medium ${target.covered ? 'bg-emerald-500/10 text-emerald-600 dark:text-emerald-400' : 'bg-gray-100 dark:bg-neutral-800 text-gray-400 dark:text-neutral-500 line-through'}`}
+                       >
+                         {target.label}
+                       </span>
+                     ))}
+                   </div>
+                 </div>
+                 <div className="flex justify-between p-4 items-center">
+                   <span className="text-gray-500 dark:text-neutral-400 text-sm">Yaw / Pitch Range</span>
+                   <span className="font-mono text-blue-600 dark:text-blue-400 font-bold text-sm">
+                     {formatRange(processing.coverage.yawRange)} / {formatRange(processing.coverage.pitchRange)}
+                   </span>
+                 </div>
+                 <div className="flex justify-between p-4 items-center">
+                   <span className="text-gray-500 dark:text-neutral-400 text-sm">Quality Pass</span>
+                   <span className="font-mono text-emerald-600 dark:text-emerald-400 font-bold text-sm">
+                     {processing.quality.passed}/{processing.quality.frameCount} · Sharpness {processing.quality.meanSharpness ?? '—'}
+                   </span>
+                 </div>
+                 <div className="flex justify-between p-4 items-center">
+                   <span className="text-gray-500 dark:text-neutral-400 text-sm">Processing Time</span>
+                   <span className="font-mono text-gray-700 dark:text-neutral-300 font-bold text-sm">{(processing.durationMs / 1000).toFixed(1)}s</span>
+                 </div>
+                 {processing.warnings?.map(warning => (
+                   <div key={warning} className="p-4 text-xs text-yellow-600 dark:text-yellow-400 flex items-center gap-2">
+                     <AlertCircle className="w-4 h-4 flex-shrink-0" /> {warning}
+                   </div>
+                 ))}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500 dark:text-neutral-500">Processing was skipped for this persona.</p>
+            )}
 
             <button
               onClick={nextStep}
@@ -604,14 +1304,24 @@ export default function IdentityVerificationApp() {
             </button>
           </div>
         );
+      }
 
-      case 5: // Gemini Studio
+      case STUDIO_STEP:
         return (
           <div className="w-full">
             <GeminiStudio persona={currentPersona} onBack={restart} />
           </div>
         );
 
+      case LIBRARY_STEP:
+        return (
+          <PersonaLibrary
+            onOpenStudio={handleOpenStudio}
+            onRecapture={handleRecapture}
+            onBack={restart}
+          />
+        );
+
       default:
         return null;
     }
@@ -640,16 +1350,16 @@ export default function IdentityVerificationApp() {
                 {isDarkMode ? <Sun className="w-4 h-4" /> : <Moon className="w-4 h-4" />}
               </button>
               
-              <div className={`px-3 py-1 rounded-full text-[10px] font-bold tracking-widest uppercase border ${step === 4 ? 'bg-emerald-500/10 border-emerald-500/20 text-emerald-600 dark:text-emerald-400' : 'bg-gray-100 dark:bg-neutral-800 border-gray-200 dark:border-neutral-700 text-gray-500 dark:text-neutral-500'}`}>
-                {step === 4 ? 'Online' : 'Standby'}
+              <div className={`px-3 py-1 rounded-full text-[10px] font-bold tracking-widest uppercase border ${step === SUCCESS_STEP ? 'bg-emerald-500/10 border-emerald-500/20 text-emerald-600 dark:text-emerald-400' : 'bg-gray-100 dark:bg-neutral-800 border-gray-200 dark:border-neutral-700 text-gray-500 dark:text-neutral-500'}`}>
+                {step === SUCCESS_STEP ? 'Online' : 'Standby'}
               </div>
             </div>
           </div>
 
           {/* Content Area */}
           <div className="flex-1 p-6 flex flex-col relative z-10">
-            {step > 0 && step < 4 && (
-              <StepIndicator currentStep={step} totalSteps={3} />
+            {step > 0 && step <= PROCESSING_STEP && (
+              <StepIndicator currentStep={step} totalSteps={PROCESSING_STEP} />
             )}
             
             <div className="flex-1 flex flex-col justify-center items-center w-full">
@@ -1,68 +1,309 @@
-import React, { useState, useEffect } from 'react';
-import { Sparkles, Key, Send, Loader2, AlertCircle, CheckCircle, Image, Video, Copy, RefreshCcw } from 'lucide-react';
-import { geminiService } from '../services/geminiService';
-import { veo3Service } from '../services/veo3Service';
+import React, { useState, useEffect, useRef } from 'react';
+import { Sparkles, Key, Lock, Unlock, Send, Loader2, AlertCircle, CheckCircle, Image, Video, Copy, RefreshCcw, Download, Settings, Film, X, GitFork } from 'lucide-react';
+import { geminiService, DEFAULT_IMAGE_CONFIG } from '../services/geminiService';
+import { veo3Service, DEFAULT_VEO3_CONFIG } from '../services/veo3Service';
+import { generationHistory } from '../services/generationHistory';
+import { generationProviders, PROVIDERS } from '../services/generationProviders';
+import { describeError } from '../services/geminiRequest';
+import { downloadBlob, extensionFor } from '../services/personaArchive';
+import { GenerationHistory } from './GenerationHistory';
+import { PersonaDescription } from './PersonaDescription';
+import { GenerationSettings } from './GenerationSettings';
+import { HttpProviderSettings } from './HttpProviderSettings';
+import { PromptTemplates } from './PromptTemplates';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const VIDEO_STATUS = {
+  submitting: 'Submitting job',
+  polling: 'Rendering',
+  downloading: 'Downloading video'
+};
 
 export function GeminiStudio({ persona, onBack }) {
   const [apiKey, setApiKey] = useState('');
   const [isApiKeySet, setIsApiKeySet] = useState(false);
+  const [keyStorage, setKeyStorage] = useState('session'); // 'session' or 'encrypted'
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseConfirm, setPassphraseConfirm] = useState('');
+  const [isCheckingKey, setIsCheckingKey] = useState(false);
+  const [hasSavedKey, setHasSavedKey] = useState(false); // Encrypted key waiting to be unlocked
+  const [useNewKey, setUseNewKey] = useState(false);
   const [mode, setMode] = useState('image'); // 'image' or 'video'
   const [prompt, setPrompt] = useState('');
   const [isGenerating, setIsGenerating] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
-  const [personaDescription, setPersonaDescription] = useState(null);
+  const [gallery, setGallery] = useState([]); // Generated images: { id, url, blob, prompt, model }
+  const [showModelSettings, setShowModelSettings] = useState(false);
+  const [imageConfig, setImageConfig] = useState(() => ({ ...geminiService.imageConfig }));
+  const [videoConfig, setVideoConfig] = useState(() => ({ ...veo3Service.config }));
+  const [videoJob, setVideoJob] = useState(null); // { state, elapsedMs } while rendering
+  const [renderedVideo, setRenderedVideo] = useState(null); // { url, blob }
+  const videoAbortRef = useRef(null);
+  const generationAbortRef = useRef(null); // Controller for the generation in flight
+  const galleryRef = useRef(gallery);
+  galleryRef.current = gallery;
+  const renderedVideoRef = useRef(renderedVideo);
+  renderedVideoRef.current = renderedVideo;
+  const [historyVersion, setHistoryVersion] = useState(0); // Bumped when an entry is recorded
+  const [forkParentId, setForkParentId] = useState(null);
+  const [providerId, setProviderId] = useState(generationProviders.activeId);
+  const provider = PROVIDERS.find(item => item.id === providerId);
+
+  // Use a key already in memory or saved for this session; an encrypted key
+  // waits for the passphrase
+  useEffect(() => {
+    setIsApiKeySet(geminiService.isInitialized() || geminiService.restoreSession());
+    setHasSavedKey(geminiService.hasEncryptedApiKey());
+  }, []);
 
-  // Check if API key is already set
+  // Release object URLs and stop any running requests when leaving the studio
   useEffect(() => {
-    setIsApiKeySet(geminiService.isInitialized());
+    return () => {
+      galleryRef.current.forEach(item => URL.revokeObjectURL(item.url));
+      if (renderedVideoRef.current) URL.revokeObjectURL(renderedVideoRef.current.url);
+      videoAbortRef.current?.abort();
+      generationAbortRef.current?.abort();
+    };
   }, []);
 
-  const handleSetApiKey = () => {
+  const resetKeyForm = () => {
+    setApiKey('');
+    setPassphrase('');
+    setPassphraseConfirm('');
+  };
+
+  // Check the key with a test call, then store it the chosen way
+  const handleSetApiKey = async () => {
+    if (keyStorage === 'encrypted') {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        return;
+      }
+      if (passphrase !== passphraseConfirm) {
+        setError('Passphrases do not match');
+        return;
+      }
+    }
+
+    setIsCheckingKey(true);
+    setError(null);
+    try {
+      await geminiService.connect(apiKey, { storage: keyStorage, passphrase });
+      resetKeyForm();
+      setHasSavedKey(keyStorage === 'encrypted');
+      setUseNewKey(false);
+      setIsApiKeySet(true);
+    } catch (err) {
+      const { title, action } = describeError(err);
+      setError(`${title}. ${action}`);
+    } finally {
+      setIsCheckingKey(false);
+    }
+  };
+
+  const handleUnlockApiKey = async () => {
+    setIsCheckingKey(true);
+    setError(null);
     try {
-      geminiService.init(apiKey);
+      await geminiService.unlockApiKey(passphrase);
+      resetKeyForm();
       setIsApiKeySet(true);
-      setError(null);
     } catch (err) {
       setError(err.message);
+    } finally {
+      setIsCheckingKey(false);
     }
   };
 
-  const handleGenerate = async () => {
-    if (!prompt.trim()) {
+  // Remove the key from storage and memory
+  const handleForgetApiKey = () => {
+    handleCancelGeneration();
+    handleCancelVideo();
+    geminiService.forgetApiKey();
+    resetKeyForm();
+    setHasSavedKey(false);
+    setUseNewKey(false);
+    setIsApiKeySet(false);
+    setError(null);
+    setShowModelSettings(false);
+  };
+
+  // Run a generation and record it (or its error) in the persona's history.
+  // `parentId` links re-runs and forks to the entry they came from. Text is
+  // shown as it streams in; a cancelled generation leaves no result or entry.
+  const runGeneration = async (targetMode, targetPrompt, parentId = null) => {
+    if (!targetPrompt.trim()) {
       setError('Please enter a prompt');
       return;
     }
 
+    generationAbortRef.current?.abort();
+    const controller = new AbortController();
+    generationAbortRef.current = controller;
+    const { signal } = controller;
+
     setIsGenerating(true);
     setError(null);
     setResult(null);
 
+    const historyEntry = { mode: targetMode, prompt: targetPrompt, parentId };
+
     try {
+      const description = await generationProviders.getPersonaDescription(persona, { signal });
       let response;
-      if (mode === 'video') {
-        response = await veo3Service.generateVideoPrompt(
-          persona,
-          prompt,
-          personaDescription
-        );
-        setResult({ generatedPrompt: response.videoPrompt, isVideo: true });
+      if (targetMode === 'video') {
+        response = await provider.generateVideoPrompt(persona, targetPrompt, {
+          description,
+          signal,
+          onText: text => setResult({ generatedPrompt: text, isVideo: true, isStreaming: true })
+        });
+        const entry = await recordGeneration({ ...historyEntry, generatedPrompt: response.videoPrompt, model: response.model });
+        setResult({ generatedPrompt: response.videoPrompt, isVideo: true, generationId: entry?.id });
       } else {
-        response = await geminiService.generateWithPersona(
-          persona,
-          prompt,
-          personaDescription
-        );
-        setResult({ ...response, isVideo: false });
+        response = await provider.generateImages(persona, targetPrompt, {
+          description,
+          signal,
+          onText: text => setResult({ generatedPrompt: text, isVideo: false, isStreaming: true })
+        });
+        const createdAt = Date.now();
+        const items = response.images.map((image, i) => ({
+          id: `${createdAt}_${i}`,
+          url: URL.createObjectURL(image.blob),
+          blob: image.blob,
+          prompt: targetPrompt,
+          model: response.model
+        }));
+        setGallery(prev => [...items, ...prev]);
+        setResult(response.text ? { generatedPrompt: response.text, isVideo: false } : null);
+        await recordGeneration({ ...historyEntry, generatedPrompt: response.text, model: response.model, outputs: response.images });
       }
-      setPersonaDescription(response.personaDescription);
+      setForkParentId(null);
     } catch (err) {
-      setError(err.message);
+      if (err.name === 'AbortError') {
+        // Superseded by a newer run, or cancelled: that path owns the UI state
+        if (generationAbortRef.current === controller) setResult(null);
+        return;
+      }
+      const described = describeError(err);
+      setError(described);
+      await recordGeneration({ ...historyEntry, error: `${described.title}: ${described.message}` });
     } finally {
-      setIsGenerating(false);
+      if (generationAbortRef.current === controller) {
+        generationAbortRef.current = null;
+        setIsGenerating(false);
+      }
     }
   };
 
+  const handleCancelGeneration = () => {
+    generationAbortRef.current?.abort();
+  };
+
+  const handleSelectProvider = (id) => {
+    handleCancelGeneration();
+    handleCancelVideo();
+    setProviderId(generationProviders.select(id).id);
+    setResult(null);
+    setError(null);
+  };
+
+  const recordGeneration = async (entry) => {
+    if (!persona?.id) return null;
+    const saved = await generationHistory.record(persona.id, entry);
+    setHistoryVersion(v => v + 1);
+    return saved;
+  };
+
+  const handleGenerate = () => runGeneration(mode, prompt, forkParentId);
+
+  // Run a past generation again with the same mode and prompt
+  const handleRerun = (entry) => {
+    setMode(entry.mode);
+    setPrompt(entry.prompt);
+    runGeneration(entry.mode, entry.prompt, entry.id);
+  };
+
+  // Load a past prompt into the editor; the next generation is linked to it
+  const handleFork = (entry) => {
+    handleCancelGeneration();
+    setMode(entry.mode);
+    setPrompt(entry.prompt);
+    setResult(null);
+    setForkParentId(entry.id);
+  };
+
+  const fileSlug = (persona?.name || 'persona').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+  const handleDownload = (item, index) => {
+    downloadBlob(item.blob, `${fileSlug}-${gallery.length - index}.${extensionFor(item.blob.type)}`);
+  };
+
+  const handleSaveModelConfig = () => {
+    if (mode === 'video') {
+      setVideoConfig(veo3Service.configure({
+        model: videoConfig.model.trim() || DEFAULT_VEO3_CONFIG.model,
+        baseUrl: videoConfig.baseUrl
+      }));
+    } else {
+      setImageConfig(geminiService.configureImageGeneration({
+        model: imageConfig.model.trim() || DEFAULT_IMAGE_CONFIG.model,
+        baseUrl: imageConfig.baseUrl
+      }));
+    }
+    setShowModelSettings(false);
+  };
+
+  // Submit the generated video prompt as a Veo3 job and wait for the result
+  const handleRenderVideo = async () => {
+    const controller = new AbortController();
+    videoAbortRef.current = controller;
+    setError(null);
+    setVideoJob({ state: 'submitting', elapsedMs: 0 });
+
+    try {
+      const video = await provider.generateVideo(result.generatedPrompt, {
+        persona,
+        signal: controller.signal,
+        onProgress: setVideoJob
+      });
+      if (renderedVideo) URL.revokeObjectURL(renderedVideo.url);
+      setRenderedVideo({ url: URL.createObjectURL(video.blob), blob: video.blob });
+      if (result.generationId) {
+        await generationHistory.update(result.generationId, {
+          model: video.model,
+          outputs: [{ blob: video.blob, mimeType: video.mimeType }]
+        });
+        setHistoryVersion(v => v + 1);
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        const described = describeError(err);
+        setError(described);
+        if (result.generationId) {
+          await generationHistory.update(result.generationId, { status: 'error', error: `${described.title}: ${described.message}` });
+          setHistoryVersion(v => v + 1);
+        }
+      }
+    } finally {
+      videoAbortRef.current = null;
+      setVideoJob(null);
+    }
+  };
+
+  const handleCancelVideo = () => {
+    videoAbortRef.current?.abort();
+  };
+
+  // Back to the key form, e.g. after the API rejected the saved key
+  const handleChangeApiKey = () => {
+    resetKeyForm();
+    setError(null);
+    setUseNewKey(true);
+    setIsApiKeySet(false);
+  };
+
   const handleCopyPrompt = () => {
     const text = result?.generatedPrompt || result?.videoPrompt;
     if (text) {
@@ -70,64 +311,172 @@ export function GeminiStudio({ persona, onBack }) {
     }
   };
 
-  const imageTemplates = [
-    "Create a photo of me riding a horse on a beach at sunset",
-    "Generate a professional headshot of me in a business suit",
-    "Create an image of me as a superhero flying over a city"
-  ];
-
-  const videoTemplates = veo3Service.getTemplates().map(t => t.prompt);
+  if (provider.needsApiKey && !isApiKeySet) {
+    const isUnlocking = hasSavedKey && !useNewKey;
+    const inputClass = 'w-full px-4 py-3 bg-gray-100 dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 rounded-xl text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-yellow-500';
 
-  const promptTemplates = mode === 'video' ? videoTemplates : imageTemplates;
-
-  if (!isApiKeySet) {
     return (
       <div className="space-y-6 animate-in fade-in duration-500">
         <div className="text-center">
           <div className="w-16 h-16 bg-yellow-500/20 rounded-2xl flex items-center justify-center mx-auto mb-4">
-            <Key className="w-8 h-8 text-yellow-500" />
+            {isUnlocking ? <Lock className="w-8 h-8 text-yellow-500" /> : <Key className="w-8 h-8 text-yellow-500" />}
           </div>
-          <h2 className="text-xl font-bold text-gray-900 dark:text-white">Setup Gemini API</h2>
+          <h2 className="text-xl font-bold text-gray-900 dark:text-white">
+            {isUnlocking ? 'Unlock Gemini API Key' : 'Setup Gemini API'}
+          </h2>
           <p className="text-gray-500 dark:text-neutral-400 text-sm mt-2">
-            Enter your Google AI Studio API key to enable generation
+            {isUnlocking
+              ? 'Your saved key is encrypted. Enter your passphrase to use it.'
+              : 'Enter your Google AI Studio API key to enable generation'}
           </p>
         </div>
 
-        <div className="space-y-4">
-          <input
-            type="password"
-            value={apiKey}
-            onChange={(e) => setApiKey(e.target.value)}
-            placeholder="AIza..."
-            className="w-full px-4 py-3 bg-gray-100 dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 rounded-xl text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-yellow-500"
-          />
+        {isUnlocking ? (
+          <div className="space-y-4">
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && passphrase && handleUnlockApiKey()}
+              placeholder="Passphrase"
+              autoFocus
+              className={inputClass}
+            />
+
+            {error && (
+              <div className="flex items-center gap-2 text-red-500 text-sm">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                {error}
+              </div>
+            )}
+
+            <button
+              onClick={handleUnlockApiKey}
+              disabled={!passphrase || isCheckingKey}
+              className="w-full bg-yellow-500 hover:bg-yellow-400 disabled:bg-gray-300 dark:disabled:bg-neutral-700 text-black disabled:text-gray-500 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
+            >
+              {isCheckingKey ? <Loader2 className="w-5 h-5 animate-spin" /> : <Unlock className="w-5 h-5" />}
+              Unlock
+            </button>
 
-          {error && (
-            <div className="flex items-center gap-2 text-red-500 text-sm">
-              <AlertCircle className="w-4 h-4" />
-              {error}
+            <div className="flex justify-between text-xs">
+              <button
+                onClick={() => { resetKeyForm(); setError(null); setUseNewKey(true); }}
+                className="text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white"
+              >
+                Use a different key
+              </button>
+              <button onClick={handleForgetApiKey} className="text-red-500 hover:underline">
+                Forget saved key
+              </button>
             </div>
-          )}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <input
+              type="password"
+              value={apiKey}
+              onChange={(e) => setApiKey(e.target.value)}
+              placeholder="AIza..."
+              className={inputClass}
+            />
 
-          <button
-            onClick={handleSetApiKey}
-            disabled={!apiKey.trim()}
-            className="w-full bg-yellow-500 hover:bg-yellow-400 disabled:bg-gray-300 dark:disabled:bg-neutral-700 text-black disabled:text-gray-500 font-bold py-3 rounded-xl transition-colors"
-          >
-            Save API Key
-          </button>
+            <div className="flex bg-gray-100 dark:bg-neutral-800 rounded-xl p-1">
+              {[
+                { id: 'session', label: 'This session only' },
+                { id: 'encrypted', label: 'Remember (encrypted)' }
+              ].map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setKeyStorage(option.id)}
+                  className={`flex-1 py-2 rounded-lg text-xs font-medium transition-all ${
+                    keyStorage === option.id
+                      ? 'bg-white dark:bg-neutral-700 text-gray-900 dark:text-white shadow-sm'
+                      : 'text-gray-500 dark:text-neutral-400 hover:text-gray-700 dark:hover:text-neutral-300'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {keyStorage === 'encrypted' ? (
+              <>
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  placeholder="Passphrase"
+                  className={inputClass}
+                />
+                <input
+                  type="password"
+                  value={passphraseConfirm}
+                  onChange={(e) => setPassphraseConfirm(e.target.value)}
+                  placeholder="Confirm passphrase"
+                  className={inputClass}
+                />
+                <p className="text-xs text-gray-400 dark:text-neutral-500">
+                  The key is stored encrypted on this device and needs the passphrase each time you open the studio. A forgotten passphrase can't be recovered; enter the key again instead.
+                </p>
+              </>
+            ) : (
+              <p className="text-xs text-gray-400 dark:text-neutral-500">
+                The key is kept until this tab is closed and never written to permanent storage.
+              </p>
+            )}
+
+            {error && (
+              <div className="flex items-center gap-2 text-red-500 text-sm">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                {error}
+              </div>
+            )}
 
-          <p className="text-xs text-gray-400 dark:text-neutral-500 text-center">
-            Get your API key from{' '}
-            <a
-              href="https://aistudio.google.com/apikey"
-              target="_blank"
-              rel="noopener noreferrer"
-              className="text-yellow-500 hover:underline"
+            <button
+              onClick={handleSetApiKey}
+              disabled={!apiKey.trim() || isCheckingKey}
+              className="w-full bg-yellow-500 hover:bg-yellow-400 disabled:bg-gray-300 dark:disabled:bg-neutral-700 text-black disabled:text-gray-500 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
             >
-              Google AI Studio
-            </a>
-          </p>
+              {isCheckingKey && <Loader2 className="w-5 h-5 animate-spin" />}
+              {isCheckingKey ? 'Checking key...' : 'Save API Key'}
+            </button>
+
+            {hasSavedKey && (
+              <button
+                onClick={() => { resetKeyForm(); setError(null); setUseNewKey(false); }}
+                className="w-full text-xs text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white"
+              >
+                Unlock the saved key instead
+              </button>
+            )}
+
+            <p className="text-xs text-gray-400 dark:text-neutral-500 text-center">
+              Get your API key from{' '}
+              <a
+                href="https://aistudio.google.com/apikey"
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-yellow-500 hover:underline"
+              >
+                Google AI Studio
+              </a>
+            </p>
+          </div>
+        )}
+
+        <div className="flex items-center justify-center gap-3 text-xs text-gray-400 dark:text-neutral-500">
+          <span>Or generate with</span>
+          {PROVIDERS.filter(item => !item.needsApiKey).map(item => (
+            <button
+              key={item.id}
+              onClick={() => handleSelectProvider(item.id)}
+              className="font-medium text-gray-600 dark:text-neutral-300 hover:text-yellow-500"
+              title={item.description}
+            >
+              {item.label}
+            </button>
+          ))}
         </div>
       </div>
     );
@@ -149,7 +498,7 @@ export function GeminiStudio({ persona, onBack }) {
       {/* Mode Tabs */}
       <div className="flex bg-gray-100 dark:bg-neutral-800 rounded-xl p-1">
         <button
-          onClick={() => { setMode('image'); setPrompt(''); setResult(null); }}
+          onClick={() => { handleCancelGeneration(); setMode('image'); setPrompt(''); setResult(null); setForkParentId(null); }}
           className={`flex-1 flex items-center justify-center gap-2 py-2.5 rounded-lg text-sm font-medium transition-all ${
             mode === 'image'
               ? 'bg-white dark:bg-neutral-700 text-gray-900 dark:text-white shadow-sm'
@@ -160,7 +509,7 @@ export function GeminiStudio({ persona, onBack }) {
           Image
         </button>
         <button
-          onClick={() => { setMode('video'); setPrompt(''); setResult(null); }}
+          onClick={() => { handleCancelGeneration(); setMode('video'); setPrompt(''); setResult(null); setForkParentId(null); }}
           className={`flex-1 flex items-center justify-center gap-2 py-2.5 rounded-lg text-sm font-medium transition-all ${
             mode === 'video'
               ? 'bg-white dark:bg-neutral-700 text-gray-900 dark:text-white shadow-sm'
@@ -172,6 +521,75 @@ export function GeminiStudio({ persona, onBack }) {
         </button>
       </div>
 
+      {/* Provider & Model Settings */}
+      {(() => {
+        const config = mode === 'video' ? videoConfig : imageConfig;
+        const setConfig = mode === 'video' ? setVideoConfig : setImageConfig;
+        const defaults = mode === 'video' ? DEFAULT_VEO3_CONFIG : DEFAULT_IMAGE_CONFIG;
+        const isGemini = provider.id === 'gemini';
+        return (
+          <div className="space-y-3">
+            <button
+              onClick={() => setShowModelSettings(!showModelSettings)}
+              className="text-xs text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white flex items-center gap-1.5 transition-colors"
+            >
+              <Settings className="w-3.5 h-3.5" />
+              {isGemini
+                ? <>{config.model}{config.baseUrl && config.baseUrl !== defaults.baseUrl ? ` @ ${config.baseUrl}` : ''}</>
+                : provider.label}
+            </button>
+            {showModelSettings && (
+              <div className="space-y-2 p-3 bg-gray-100 dark:bg-neutral-800 rounded-xl">
+                <select
+                  value={provider.id}
+                  onChange={(e) => handleSelectProvider(e.target.value)}
+                  className="w-full px-3 py-2 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                >
+                  {PROVIDERS.map(item => (
+                    <option key={item.id} value={item.id}>{item.label}</option>
+                  ))}
+                </select>
+                <p className="text-[10px] text-gray-500 dark:text-neutral-400">{provider.description}</p>
+
+                {isGemini && (
+                  <>
+                    <input
+                      value={config.model}
+                      onChange={(e) => setConfig({ ...config, model: e.target.value })}
+                      placeholder={defaults.model}
+                      className="w-full px-3 py-2 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                    />
+                    <input
+                      value={config.baseUrl || ''}
+                      onChange={(e) => setConfig({ ...config, baseUrl: e.target.value })}
+                      placeholder="Endpoint (default: Google AI), e.g. http://localhost:8787"
+                      className="w-full px-3 py-2 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                    />
+                    <button
+                      onClick={handleSaveModelConfig}
+                      className="w-full bg-gray-900 dark:bg-neutral-700 hover:bg-gray-800 dark:hover:bg-neutral-600 text-white text-sm font-bold py-2 rounded-lg transition-colors"
+                    >
+                      Save {mode === 'video' ? 'Video' : 'Image'} Settings
+                    </button>
+                    <GenerationSettings onSaved={() => setShowModelSettings(false)} />
+                    <button
+                      onClick={handleForgetApiKey}
+                      className="w-full pt-3 border-t border-gray-200 dark:border-neutral-700 text-xs font-bold text-red-500 hover:underline flex items-center justify-center gap-1.5"
+                    >
+                      <Key className="w-3.5 h-3.5" /> Forget API Key
+                    </button>
+                  </>
+                )}
+
+                {provider.id === 'http' && (
+                  <HttpProviderSettings onSaved={() => setShowModelSettings(false)} />
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })()}
+
       {/* Persona Preview */}
       {persona?.texturePhoto && (
         <div className="flex items-center gap-3 p-3 bg-gray-100 dark:bg-neutral-800 rounded-xl">
@@ -185,15 +603,27 @@ export function GeminiStudio({ persona, onBack }) {
               {persona.name}
             </p>
             <p className="text-xs text-gray-500 dark:text-neutral-400">
-              {persona.volumetricFrames?.length || 0} frames captured
+              {persona.volumetricFrameIds?.length || 0} frames captured
             </p>
           </div>
           <CheckCircle className="w-5 h-5 text-emerald-500" />
         </div>
       )}
 
+      {/* Cached appearance description (refreshed after generations, which may create it) */}
+      <PersonaDescription persona={persona} provider={provider} refreshKey={historyVersion} />
+
       {/* Prompt Input */}
       <div className="space-y-3">
+        {forkParentId && (
+          <div className="flex items-center gap-2 text-xs text-gray-500 dark:text-neutral-400">
+            <GitFork className="w-3.5 h-3.5 text-yellow-500" />
+            <span className="flex-1">Editing a fork of an earlier generation</span>
+            <button onClick={() => setForkParentId(null)} className="hover:text-gray-900 dark:hover:text-white" title="Unlink from history">
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        )}
         <textarea
           value={prompt}
           onChange={(e) => setPrompt(e.target.value)}
@@ -202,53 +632,69 @@ export function GeminiStudio({ persona, onBack }) {
           className="w-full px-4 py-3 bg-gray-100 dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 rounded-xl text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-yellow-500 resize-none"
         />
 
-        {/* Quick Templates */}
-        <div className="flex flex-wrap gap-2">
-          {promptTemplates.slice(0, 3).map((template, i) => (
-            <button
-              key={i}
-              onClick={() => setPrompt(template)}
-              className="text-xs px-3 py-1.5 bg-gray-200 dark:bg-neutral-700 hover:bg-yellow-500/20 text-gray-600 dark:text-neutral-300 rounded-full transition-colors"
-            >
-              {template.split(' ').slice(0, 4).join(' ')}...
-            </button>
-          ))}
-        </div>
+        <PromptTemplates mode={mode} prompt={prompt} onApply={setPrompt} />
       </div>
 
-      {/* Generate Button */}
-      <button
-        onClick={handleGenerate}
-        disabled={isGenerating || !prompt.trim()}
-        className="w-full bg-yellow-500 hover:bg-yellow-400 disabled:bg-gray-300 dark:disabled:bg-neutral-700 text-black disabled:text-gray-500 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
-      >
-        {isGenerating ? (
-          <>
-            <Loader2 className="w-5 h-5 animate-spin" />
-            Generating...
-          </>
-        ) : (
-          <>
-            <Send className="w-5 h-5" />
-            Generate {mode === 'video' ? 'Video' : 'Image'} Prompt
-          </>
+      {/* Generate / Cancel Buttons */}
+      <div className="flex gap-2">
+        <button
+          onClick={handleGenerate}
+          disabled={isGenerating || !prompt.trim()}
+          className="flex-1 bg-yellow-500 hover:bg-yellow-400 disabled:bg-gray-300 dark:disabled:bg-neutral-700 text-black disabled:text-gray-500 font-bold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
+        >
+          {isGenerating ? (
+            <>
+              <Loader2 className="w-5 h-5 animate-spin" />
+              Generating...
+            </>
+          ) : (
+            <>
+              <Send className="w-5 h-5" />
+              {mode === 'video' ? 'Generate Video Prompt' : 'Generate Image'}
+            </>
+          )}
+        </button>
+        {isGenerating && (
+          <button
+            onClick={handleCancelGeneration}
+            className="px-4 bg-gray-200 dark:bg-neutral-800 hover:bg-red-500/10 text-red-500 font-bold rounded-xl transition-colors flex items-center gap-1.5"
+          >
+            <X className="w-4 h-4" /> Cancel
+          </button>
         )}
-      </button>
+      </div>
 
-      {/* Error Display */}
-      {error && (
+      {/* Error Display: plain messages, or classified request errors with a suggested fix */}
+      {error && (typeof error === 'string' ? (
         <div className="flex items-center gap-2 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-500 text-sm">
           <AlertCircle className="w-4 h-4 flex-shrink-0" />
           {error}
         </div>
-      )}
+      ) : (
+        <div className="flex items-start gap-2 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5 text-red-500" />
+          <div className="flex-1 min-w-0 space-y-1">
+            <p className="font-semibold text-red-500">{error.title}</p>
+            <p className="text-xs text-gray-600 dark:text-neutral-300">{error.action}</p>
+            <p className="text-[10px] text-gray-500 dark:text-neutral-400 break-words">{error.message}</p>
+            {error.kind === 'auth' && (
+              <button
+                onClick={handleChangeApiKey}
+                className="text-xs font-bold text-yellow-600 dark:text-yellow-400 hover:underline flex items-center gap-1"
+              >
+                <Key className="w-3 h-3" /> Change API key
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
 
       {/* Result Display */}
       {result && (
         <div className="space-y-3 p-4 bg-gray-100 dark:bg-neutral-800 rounded-xl">
           <div className="flex items-center justify-between">
             <h3 className="text-sm font-semibold text-gray-900 dark:text-white">
-              {result?.isVideo ? 'Video Prompt (Veo3)' : 'Image Prompt'}
+              {result?.isVideo ? `Video Prompt${provider.id === 'gemini' ? ' (Veo3)' : ''}` : 'Model Notes'}
             </h3>
             <button
               onClick={handleCopyPrompt}
@@ -260,10 +706,79 @@ export function GeminiStudio({ persona, onBack }) {
           </div>
           <p className="text-sm text-gray-600 dark:text-neutral-300 whitespace-pre-wrap">
             {result.generatedPrompt}
+            {result.isStreaming && <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-yellow-500 animate-pulse" />}
           </p>
+
+          {result.isVideo && !result.isStreaming && provider.capabilities.video && (
+            videoJob ? (
+              <div className="flex items-center gap-3 pt-2">
+                <Loader2 className="w-4 h-4 text-yellow-500 animate-spin flex-shrink-0" />
+                <span className="flex-1 text-xs text-gray-600 dark:text-neutral-300">
+                  {VIDEO_STATUS[videoJob.state] || 'Working'}... {Math.round(videoJob.elapsedMs / 1000)}s
+                </span>
+                <button
+                  onClick={handleCancelVideo}
+                  className="text-xs font-bold text-red-500 hover:underline flex items-center gap-1"
+                >
+                  <X className="w-3 h-3" /> Cancel
+                </button>
+              </div>
+            ) : (
+              <button
+                onClick={handleRenderVideo}
+                className="w-full bg-gray-900 dark:bg-neutral-700 hover:bg-gray-800 dark:hover:bg-neutral-600 text-white text-sm font-bold py-2.5 rounded-lg transition-colors flex items-center justify-center gap-2"
+              >
+                <Film className="w-4 h-4" /> Render Video{provider.id === 'gemini' ? ' with Veo3' : ''}
+              </button>
+            )
+          )}
         </div>
       )}
 
+      {/* Rendered Video */}
+      {mode === 'video' && renderedVideo && (
+        <div className="rounded-xl overflow-hidden bg-black">
+          {renderedVideo.blob.type.startsWith('video/')
+            ? <video src={renderedVideo.url} controls playsInline className="w-full" />
+            : <img src={renderedVideo.url} alt="Rendered video preview" className="w-full" />}
+          <button
+            onClick={() => downloadBlob(renderedVideo.blob, `${fileSlug}-video.${extensionFor(renderedVideo.blob.type)}`)}
+            className="w-full py-2 text-xs font-bold text-white/80 hover:text-white flex items-center justify-center gap-2"
+          >
+            <Download className="w-4 h-4" /> Download Video
+          </button>
+        </div>
+      )}
+
+      {/* Image Gallery */}
+      {mode === 'image' && gallery.length > 0 && (
+        <div className="grid grid-cols-2 gap-3">
+          {gallery.map((item, index) => (
+            <div key={item.id} className="relative group rounded-xl overflow-hidden bg-gray-100 dark:bg-neutral-800">
+              <img src={item.url} alt={item.prompt} className="w-full aspect-square object-cover" />
+              <div className="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/80 to-transparent p-2 pt-6 flex items-end gap-2">
+                <span className="flex-1 text-[10px] text-white/90 line-clamp-2">{item.prompt}</span>
+                <button
+                  onClick={() => handleDownload(item, index)}
+                  className="p-1.5 bg-white/20 hover:bg-white/30 rounded-lg transition-colors"
+                  title="Download image"
+                >
+                  <Download className="w-4 h-4 text-white" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Generation History */}
+      <GenerationHistory
+        personaId={persona?.id}
+        refreshKey={historyVersion}
+        onRerun={handleRerun}
+        onFork={handleFork}
+      />
+
       {/* Back Button */}
       <button
         onClick={onBack}
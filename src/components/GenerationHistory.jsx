@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, Search, Star, RefreshCcw, GitFork, Trash2, Download, Film, Image, AlertCircle, ChevronDown } from 'lucide-react';
+import { generationHistory } from '../services/generationHistory';
+import { downloadBlob, extensionFor } from '../services/personaArchive';
+
+// Image or video output, backed by an object URL for as long as it's shown
+function OutputPreview({ output, className }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(output.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [output.blob]);
+
+  if (!url) return null;
+
+  return output.mimeType.startsWith('video/')
+    ? <video src={url} controls playsInline className={className} />
+    : <img src={url} alt="Generated output" className={className} />;
+}
+
+function formatTimestamp(iso) {
+  const date = new Date(iso);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// Searchable list of a persona's past generations. `refreshKey` reloads the
+// list after the studio records a new entry.
+export function GenerationHistory({ personaId, refreshKey, onRerun, onFork }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [favouritesOnly, setFavouritesOnly] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    if (!personaId) return;
+    setEntries(await generationHistory.list(personaId, { query, favouritesOnly }));
+  }, [personaId, query, favouritesOnly]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries, refreshKey]);
+
+  const handleToggleFavourite = async (entry) => {
+    await generationHistory.toggleFavourite(entry.id);
+    await loadEntries();
+  };
+
+  const handleDelete = async (entry) => {
+    await generationHistory.delete(entry.id);
+    if (expandedId === entry.id) setExpandedId(null);
+    await loadEntries();
+  };
+
+  const handleDownload = (entry, output, index) => {
+    downloadBlob(output.blob, `${entry.mode}-${entry.createdAt.slice(0, 10)}-${index + 1}.${extensionFor(output.mimeType)}`);
+  };
+
+  if (!personaId) return null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <History className="w-4 h-4 text-gray-500 dark:text-neutral-400" />
+        <h3 className="flex-1 text-sm font-semibold text-gray-900 dark:text-white">History</h3>
+        <button
+          onClick={() => setFavouritesOnly(!favouritesOnly)}
+          className={`p-1.5 rounded-lg transition-colors ${favouritesOnly ? 'bg-yellow-500/20 text-yellow-600 dark:text-yellow-400' : 'text-gray-400 dark:text-neutral-500 hover:bg-gray-200 dark:hover:bg-neutral-700'}`}
+          title="Show favourites only"
+        >
+          <Star className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="relative">
+        <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 dark:text-neutral-500" />
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search prompts..."
+          className="w-full pl-9 pr-3 py-2 bg-gray-100 dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 rounded-lg text-sm text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        />
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-center py-4 text-xs text-gray-500 dark:text-neutral-400">
+          {query || favouritesOnly ? 'No matching generations.' : 'Nothing generated for this persona yet.'}
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {entries.map(entry => {
+            const isExpanded = expandedId === entry.id;
+            const ModeIcon = entry.mode === 'video' ? Film : Image;
+            const thumbnail = entry.outputs.find(output => output.mimeType.startsWith('image/'));
+
+            return (
+              <div key={entry.id} className="bg-gray-100 dark:bg-neutral-800 rounded-xl overflow-hidden">
+                <button
+                  onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                  className="w-full flex items-center gap-3 p-3 text-left"
+                >
+                  {thumbnail ? (
+                    <OutputPreview output={thumbnail} className="w-10 h-10 rounded-lg object-cover flex-shrink-0" />
+                  ) : (
+                    <div className="w-10 h-10 rounded-lg bg-gray-200 dark:bg-neutral-700 flex items-center justify-center flex-shrink-0">
+                      {entry.status === 'error'
+                        ? <AlertCircle className="w-5 h-5 text-red-500" />
+                        : <ModeIcon className="w-5 h-5 text-gray-400 dark:text-neutral-500" />}
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-xs font-medium text-gray-900 dark:text-white truncate">{entry.prompt}</p>
+                    <p className="text-[10px] text-gray-500 dark:text-neutral-400 truncate">
+                      {entry.model || entry.mode} · {formatTimestamp(entry.createdAt)}
+                      {entry.parentId && ' · iteration'}
+                    </p>
+                  </div>
+                  {entry.favourite && <Star className="w-3.5 h-3.5 text-yellow-500 fill-yellow-500 flex-shrink-0" />}
+                  <ChevronDown className={`w-4 h-4 text-gray-400 flex-shrink-0 transition-transform ${isExpanded ? 'rotate-180' : ''}`} />
+                </button>
+
+                {isExpanded && (
+                  <div className="px-3 pb-3 space-y-3">
+                    {entry.error && (
+                      <p className="text-xs text-red-500 flex items-center gap-1.5">
+                        <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" /> {entry.error}
+                      </p>
+                    )}
+
+                    {entry.generatedPrompt && (
+                      <p className="max-h-40 overflow-y-auto text-xs text-gray-600 dark:text-neutral-300 whitespace-pre-wrap">
+                        {entry.generatedPrompt}
+                      </p>
+                    )}
+
+                    {entry.outputs.length > 0 && (
+                      <div className="grid grid-cols-2 gap-2">
+                        {entry.outputs.map((output, index) => (
+                          <div key={index} className="relative rounded-lg overflow-hidden bg-black">
+                            <OutputPreview output={output} className="w-full aspect-square object-cover" />
+                            <button
+                              onClick={() => handleDownload(entry, output, index)}
+                              className="absolute top-1.5 right-1.5 p-1.5 bg-black/50 hover:bg-black/70 rounded-lg transition-colors"
+                              title="Download"
+                            >
+                              <Download className="w-3.5 h-3.5 text-white" />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    <div className="flex items-center gap-1">
+                      <button
+                        onClick={() => onRerun(entry)}
+                        className="flex-1 text-[10px] font-bold uppercase tracking-wider text-yellow-600 dark:text-yellow-400 hover:bg-yellow-500/10 py-1.5 rounded-lg flex items-center justify-center gap-1 transition-colors"
+                      >
+                        <RefreshCcw className="w-3 h-3" /> Re-run
+                      </button>
+                      <button
+                        onClick={() => onFork(entry)}
+                        className="flex-1 text-[10px] font-bold uppercase tracking-wider text-gray-600 dark:text-neutral-300 hover:bg-gray-200 dark:hover:bg-neutral-700 py-1.5 rounded-lg flex items-center justify-center gap-1 transition-colors"
+                      >
+                        <GitFork className="w-3 h-3" /> Fork & Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleFavourite(entry)}
+                        className="p-1.5 rounded-lg hover:bg-gray-200 dark:hover:bg-neutral-700 transition-colors"
+                        title={entry.favourite ? 'Remove favourite' : 'Favourite'}
+                      >
+                        <Star className={`w-4 h-4 ${entry.favourite ? 'text-yellow-500 fill-yellow-500' : 'text-gray-400 dark:text-neutral-500'}`} />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(entry)}
+                        className="p-1.5 rounded-lg hover:bg-red-500/10 transition-colors"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4 text-red-500" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
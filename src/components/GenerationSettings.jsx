@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { RefreshCcw, Loader2, ChevronDown } from 'lucide-react';
+import {
+  generationSettings,
+  TASKS,
+  KNOWN_MODELS,
+  HARM_CATEGORIES,
+  SAFETY_THRESHOLDS,
+  GENERATION_LIMITS
+} from '../services/generationSettings';
+import { geminiRequest, DEFAULT_REQUEST_LIMITS } from '../services/geminiRequest';
+import { geminiService } from '../services/geminiService';
+
+const inputClass = 'w-full px-2 py-1.5 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-xs text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500';
+const labelClass = 'text-[10px] font-bold uppercase tracking-wider text-gray-500 dark:text-neutral-400';
+
+// Blank number inputs mean "model default"
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// Text models per task, sampling parameters, safety thresholds and request
+// limits. Changes apply to every Gemini call once saved.
+export function GenerationSettings({ onSaved }) {
+  const [draft, setDraft] = useState(() => generationSettings.settings);
+  const [limits, setLimits] = useState(() => ({ ...geminiRequest.limits }));
+  const [models, setModels] = useState(() => generationSettings.availableModels || KNOWN_MODELS);
+  const [isLoadingModels, setIsLoadingModels] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const updateSection = (section, key, value) => {
+    setDraft(prev => ({ ...prev, [section]: { ...prev[section], [key]: value } }));
+  };
+
+  const handleRefreshModels = async () => {
+    setIsLoadingModels(true);
+    setModels(await generationSettings.listModels(geminiService.apiKey));
+    setIsLoadingModels(false);
+  };
+
+  const handleSave = () => {
+    setDraft(generationSettings.save(draft));
+    setLimits(geminiRequest.configure({
+      maxRetries: Math.max(0, Math.round(Number(limits.maxRetries) || 0)),
+      maxConcurrent: Math.max(1, Math.round(Number(limits.maxConcurrent) || DEFAULT_REQUEST_LIMITS.maxConcurrent)),
+      requestsPerMinute: Math.max(1, Math.round(Number(limits.requestsPerMinute) || DEFAULT_REQUEST_LIMITS.requestsPerMinute))
+    }));
+    onSaved?.();
+  };
+
+  const handleReset = () => {
+    setDraft(generationSettings.reset());
+    setLimits(geminiRequest.configure({ ...DEFAULT_REQUEST_LIMITS }));
+  };
+
+  // Keep a saved model selectable even if the fetched list doesn't include it
+  const modelOptions = (current) => (
+    models.some(model => model.id === current) ? models : [{ id: current, label: current }, ...models]
+  );
+
+  return (
+    <div className="pt-3 border-t border-gray-200 dark:border-neutral-700 space-y-3">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between text-xs font-semibold text-gray-900 dark:text-white"
+      >
+        Text Generation
+        <ChevronDown className={`w-4 h-4 text-gray-400 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <>
+          {/* Models per task */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <span className={labelClass}>Models</span>
+              <button
+                onClick={handleRefreshModels}
+                disabled={isLoadingModels}
+                className="text-[10px] font-bold text-yellow-600 dark:text-yellow-400 hover:underline disabled:opacity-50 flex items-center gap-1"
+              >
+                {isLoadingModels ? <Loader2 className="w-3 h-3 animate-spin" /> : <RefreshCcw className="w-3 h-3" />}
+                Fetch available
+              </button>
+            </div>
+            {TASKS.map(task => (
+              <label key={task.id} className="flex items-center gap-2">
+                <span className="w-28 flex-shrink-0 text-xs text-gray-600 dark:text-neutral-300">{task.label}</span>
+                <select
+                  value={draft.models[task.id]}
+                  onChange={(e) => updateSection('models', task.id, e.target.value)}
+                  className={inputClass}
+                >
+                  {modelOptions(draft.models[task.id]).map(model => (
+                    <option key={model.id} value={model.id}>{model.label}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {/* Sampling */}
+          <div className="space-y-2">
+            <span className={labelClass}>Generation</span>
+            <div className="grid grid-cols-3 gap-2">
+              {[
+                { key: 'temperature', label: 'Temperature' },
+                { key: 'topP', label: 'Top P' },
+                { key: 'maxOutputTokens', label: 'Max tokens' }
+              ].map(({ key, label }) => (
+                <label key={key} className="space-y-1">
+                  <span className="block text-[10px] text-gray-500 dark:text-neutral-400">{label}</span>
+                  <input
+                    type="number"
+                    min={GENERATION_LIMITS[key].min}
+                    max={GENERATION_LIMITS[key].max}
+                    step={GENERATION_LIMITS[key].step || 1}
+                    value={draft.generation[key] ?? ''}
+                    onChange={(e) => updateSection('generation', key, toNumberOrNull(e.target.value))}
+                    placeholder="Default"
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Safety */}
+          <div className="space-y-2">
+            <span className={labelClass}>Safety</span>
+            {HARM_CATEGORIES.map(category => (
+              <label key={category.id} className="flex items-center gap-2">
+                <span className="w-28 flex-shrink-0 text-xs text-gray-600 dark:text-neutral-300">{category.label}</span>
+                <select
+                  value={draft.safety[category.id]}
+                  onChange={(e) => updateSection('safety', category.id, e.target.value)}
+                  className={inputClass}
+                >
+                  {SAFETY_THRESHOLDS.map(threshold => (
+                    <option key={threshold.id} value={threshold.id}>{threshold.label}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {/* Request limits */}
+          <div className="space-y-2">
+            <span className={labelClass}>Requests</span>
+            <div className="grid grid-cols-3 gap-2">
+              {[
+                { key: 'requestsPerMinute', label: 'Per minute', min: 1 },
+                { key: 'maxConcurrent', label: 'Concurrent', min: 1 },
+                { key: 'maxRetries', label: 'Retries', min: 0 }
+              ].map(({ key, label, min }) => (
+                <label key={key} className="space-y-1">
+                  <span className="block text-[10px] text-gray-500 dark:text-neutral-400">{label}</span>
+                  <input
+                    type="number"
+                    min={min}
+                    value={limits[key]}
+                    onChange={(e) => setLimits({ ...limits, [key]: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              className="flex-1 bg-gray-900 dark:bg-neutral-700 hover:bg-gray-800 dark:hover:bg-neutral-600 text-white text-sm font-bold py-2 rounded-lg transition-colors"
+            >
+              Save Text Settings
+            </button>
+            <button
+              onClick={handleReset}
+              className="px-3 text-xs font-medium text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white transition-colors"
+            >
+              Reset
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { httpProvider, HTTP_FLAVORS, DEFAULT_HTTP_CONFIG } from '../services/providers/httpProvider';
+
+const inputClass = 'w-full px-3 py-2 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500';
+const labelClass = 'block text-[10px] text-gray-500 dark:text-neutral-400';
+
+// Server address, API style and sampling options for the self-hosted provider
+export function HttpProviderSettings({ onSaved }) {
+  const [config, setConfig] = useState(() => ({ ...httpProvider.config }));
+  const isComfy = config.flavor === 'comfyui';
+
+  const update = (key, value) => setConfig(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = () => {
+    const number = (key) => (Number.isFinite(Number(config[key])) && config[key] !== '' ? Number(config[key]) : DEFAULT_HTTP_CONFIG[key]);
+    setConfig(httpProvider.configure({
+      ...config,
+      steps: number('steps'),
+      width: number('width'),
+      height: number('height'),
+      cfgScale: number('cfgScale'),
+      denoisingStrength: number('denoisingStrength')
+    }));
+    onSaved?.();
+  };
+
+  return (
+    <div className="space-y-2">
+      <input
+        value={config.baseUrl}
+        onChange={(e) => update('baseUrl', e.target.value)}
+        placeholder={DEFAULT_HTTP_CONFIG.baseUrl}
+        className={inputClass}
+      />
+      <select value={config.flavor} onChange={(e) => update('flavor', e.target.value)} className={inputClass}>
+        {HTTP_FLAVORS.map(flavor => (
+          <option key={flavor.id} value={flavor.id}>{flavor.label}</option>
+        ))}
+      </select>
+      <input
+        value={config.negativePrompt}
+        onChange={(e) => update('negativePrompt', e.target.value)}
+        placeholder="Negative prompt"
+        className={inputClass}
+      />
+
+      {isComfy ? (
+        <>
+          <p className="text-[10px] text-gray-500 dark:text-neutral-400">
+            Paste workflows exported with "Save (API Format)". Use {'{{prompt}}'}, {'{{negative_prompt}}'}, {'{{reference_image}}'} and {'{{seed}}'} as input values.
+          </p>
+          <label className="block space-y-1">
+            <span className={labelClass}>Image workflow</span>
+            <textarea
+              value={config.imageWorkflow}
+              onChange={(e) => update('imageWorkflow', e.target.value)}
+              rows={3}
+              placeholder='{"3": {"class_type": "KSampler", ...}}'
+              className={`${inputClass} font-mono text-xs resize-none`}
+            />
+          </label>
+          <label className="block space-y-1">
+            <span className={labelClass}>Video workflow (optional)</span>
+            <textarea
+              value={config.videoWorkflow}
+              onChange={(e) => update('videoWorkflow', e.target.value)}
+              rows={3}
+              className={`${inputClass} font-mono text-xs resize-none`}
+            />
+          </label>
+        </>
+      ) : (
+        <>
+          <div className="grid grid-cols-4 gap-2">
+            {[
+              { key: 'steps', label: 'Steps' },
+              { key: 'width', label: 'Width' },
+              { key: 'height', label: 'Height' },
+              { key: 'cfgScale', label: 'CFG' }
+            ].map(({ key, label }) => (
+              <label key={key} className="space-y-1">
+                <span className={labelClass}>{label}</span>
+                <input type="number" value={config[key]} onChange={(e) => update(key, e.target.value)} className={inputClass} />
+              </label>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-xs text-gray-600 dark:text-neutral-300">
+            <input
+              type="checkbox"
+              checked={config.useReference}
+              onChange={(e) => update('useReference', e.target.checked)}
+              className="accent-yellow-500"
+            />
+            Start from the headshot (img2img)
+            {config.useReference && (
+              <input
+                type="number"
+                min={0}
+                max={1}
+                step={0.05}
+                value={config.denoisingStrength}
+                onChange={(e) => update('denoisingStrength', e.target.value)}
+                title="Denoising strength"
+                className="ml-auto w-20 px-2 py-1 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-xs text-gray-900 dark:text-white"
+              />
+            )}
+          </label>
+        </>
+      )}
+
+      <button
+        onClick={handleSave}
+        className="w-full bg-gray-900 dark:bg-neutral-700 hover:bg-gray-800 dark:hover:bg-neutral-600 text-white text-sm font-bold py-2 rounded-lg transition-colors"
+      >
+        Save Server Settings
+      </button>
+    </div>
+  );
+}
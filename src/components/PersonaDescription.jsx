@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, Pencil, RefreshCcw, History, Loader2, AlertCircle, Check, X, ChevronDown } from 'lucide-react';
+import { personaStorage } from '../services/personaStorage';
+import { generationProviders } from '../services/generationProviders';
+import { describeError } from '../services/geminiRequest';
+
+const SOURCE_LABELS = {
+  generated: 'Generated',
+  edited: 'Edited',
+  rollback: 'Restored'
+};
+
+// The cached appearance description used for every generation: view, correct,
+// regenerate (when the provider can analyze photos), or roll back to an
+// earlier version
+export function PersonaDescription({ persona, provider, refreshKey }) {
+  const [description, setDescription] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(null); // Non-null while editing
+  const [showVersions, setShowVersions] = useState(false);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const personaId = persona?.id;
+
+  const loadDescription = useCallback(async () => {
+    if (!personaId) return;
+    const [current, all] = await Promise.all([
+      personaStorage.getDescription(personaId),
+      personaStorage.getDescriptionVersions(personaId)
+    ]);
+    setDescription(current);
+    setVersions(all);
+  }, [personaId]);
+
+  useEffect(() => {
+    loadDescription();
+  }, [loadDescription, refreshKey]);
+
+  const handleSaveEdit = async () => {
+    const text = draft?.trim();
+    if (text && text !== description?.text) {
+      await personaStorage.saveDescription(personaId, text, { source: 'edited' });
+      await loadDescription();
+    }
+    setDraft(null);
+  };
+
+  const handleRegenerate = async () => {
+    setIsRegenerating(true);
+    setError(null);
+    try {
+      await generationProviders.getPersonaDescription(persona, { refresh: true });
+      await loadDescription();
+    } catch (err) {
+      const { title, action } = describeError(err);
+      setError(`${title}. ${action}`);
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  const handleRollback = async (versionId) => {
+    await personaStorage.rollbackDescription(personaId, versionId);
+    await loadDescription();
+  };
+
+  if (!personaId) return null;
+
+  // Fixture providers' descriptions aren't saved, so regenerating would show nothing
+  const canRegenerate = provider?.capabilities.analysis && !provider.fixtures;
+
+  return (
+    <div className="bg-gray-100 dark:bg-neutral-800 rounded-xl">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 p-3 text-left"
+      >
+        <FileText className="w-4 h-4 text-gray-500 dark:text-neutral-400" />
+        <span className="flex-1 text-sm font-semibold text-gray-900 dark:text-white">Appearance Description</span>
+        {description?.stale && (
+          <span className="px-2 py-0.5 rounded-full bg-yellow-500/20 text-[10px] font-bold text-yellow-600 dark:text-yellow-400">
+            Outdated
+          </span>
+        )}
+        {!description && (
+          <span className="text-[10px] text-gray-500 dark:text-neutral-400">Not generated</span>
+        )}
+        <ChevronDown className={`w-4 h-4 text-gray-400 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          {description?.stale && (
+            <p className="text-xs text-yellow-600 dark:text-yellow-400">
+              The persona's photos changed since this was written. It will be regenerated on the next generation.
+            </p>
+          )}
+
+          {draft !== null ? (
+            <div className="space-y-2">
+              <textarea
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={6}
+                className="w-full px-3 py-2 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-xs text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500 resize-none"
+              />
+              <div className="flex gap-2">
+                <button
+                  onClick={handleSaveEdit}
+                  className="flex-1 bg-yellow-500 hover:bg-yellow-400 text-black text-xs font-bold py-2 rounded-lg transition-colors flex items-center justify-center gap-1"
+                >
+                  <Check className="w-3.5 h-3.5" /> Save Correction
+                </button>
+                <button
+                  onClick={() => setDraft(null)}
+                  className="px-3 text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white text-xs font-medium rounded-lg transition-colors flex items-center gap-1"
+                >
+                  <X className="w-3.5 h-3.5" /> Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="max-h-48 overflow-y-auto text-xs text-gray-600 dark:text-neutral-300 whitespace-pre-wrap">
+              {description?.text || 'A description is generated from your photos the first time you generate something.'}
+            </p>
+          )}
+
+          {error && (
+            <p className="text-xs text-red-500 flex items-center gap-1.5">
+              <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" /> {error}
+            </p>
+          )}
+
+          {draft === null && (
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => setDraft(description?.text || '')}
+                className="flex-1 text-[10px] font-bold uppercase tracking-wider text-gray-600 dark:text-neutral-300 hover:bg-gray-200 dark:hover:bg-neutral-700 py-1.5 rounded-lg flex items-center justify-center gap-1 transition-colors"
+              >
+                <Pencil className="w-3 h-3" /> Edit
+              </button>
+              {canRegenerate && (
+                <button
+                  onClick={handleRegenerate}
+                  disabled={isRegenerating}
+                  className="flex-1 text-[10px] font-bold uppercase tracking-wider text-yellow-600 dark:text-yellow-400 hover:bg-yellow-500/10 disabled:opacity-50 py-1.5 rounded-lg flex items-center justify-center gap-1 transition-colors"
+                >
+                  {isRegenerating ? <Loader2 className="w-3 h-3 animate-spin" /> : <RefreshCcw className="w-3 h-3" />}
+                  {description ? 'Regenerate' : 'Generate'}
+                </button>
+              )}
+              {versions.length > 1 && (
+                <button
+                  onClick={() => setShowVersions(!showVersions)}
+                  className="flex-1 text-[10px] font-bold uppercase tracking-wider text-gray-600 dark:text-neutral-300 hover:bg-gray-200 dark:hover:bg-neutral-700 py-1.5 rounded-lg flex items-center justify-center gap-1 transition-colors"
+                >
+                  <History className="w-3 h-3" /> Versions ({versions.length})
+                </button>
+              )}
+            </div>
+          )}
+
+          {showVersions && draft === null && (
+            <div className="space-y-1.5">
+              {versions.map(version => {
+                const isCurrent = version.id === description?.versionId;
+                return (
+                  <div key={version.id} className="flex items-start gap-2 p-2 bg-white dark:bg-neutral-900 rounded-lg">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-[10px] text-gray-500 dark:text-neutral-400">
+                        {SOURCE_LABELS[version.source] || version.source} · {new Date(version.createdAt).toLocaleString()}
+                      </p>
+                      <p className="text-xs text-gray-700 dark:text-neutral-300 line-clamp-2">{version.text}</p>
+                    </div>
+                    {isCurrent ? (
+                      <span className="text-[10px] font-bold text-emerald-600 dark:text-emerald-400">Current</span>
+                    ) : (
+                      <button
+                        onClick={() => handleRollback(version.id)}
+                        className="text-[10px] font-bold uppercase tracking-wider text-yellow-600 dark:text-yellow-400 hover:underline"
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Library, User, CheckCircle, Clock, Pencil, Trash2, Sparkles, Camera, Video, RefreshCcw, ChevronLeft, Loader2, HardDrive, X, Check, Download, Upload, AlertCircle } from 'lucide-react';
+import { personaStorage } from '../services/personaStorage';
+import { CAPTURE_PLAN } from '../services/capturePlan';
+import { personaArchive, downloadBlob } from '../services/personaArchive';
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function PersonaLibrary({ onOpenStudio, onRecapture, onBack }) {
+  const [personas, setPersonas] = useState([]);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [editingName, setEditingName] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [archiveError, setArchiveError] = useState(null);
+  const [isArchiving, setIsArchiving] = useState(false);
+  const importInputRef = useRef(null);
+
+  const loadPersonas = useCallback(async () => {
+    try {
+      const [all, info] = await Promise.all([
+        personaStorage.getAll(),
+        personaStorage.getStorageInfo()
+      ]);
+      setPersonas(all.reverse()); // Newest first
+      setStorageInfo(info);
+      setLoadError(null);
+    } catch (err) {
+      console.error('Failed to load personas:', err);
+      setLoadError(err.message || 'Could not read the persona storage');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPersonas();
+  }, [loadPersonas]);
+
+  const selected = personas.find(p => p.id === selectedId) || null;
+
+  const handleSelect = (id) => {
+    setSelectedId(id === selectedId ? null : id);
+    setEditingName(null);
+    setConfirmDelete(false);
+  };
+
+  const handleRename = async () => {
+    const name = editingName?.trim();
+    if (selected && name && name !== selected.name) {
+      await personaStorage.update(selected.id, { name });
+      await loadPersonas();
+    }
+    setEditingName(null);
+  };
+
+  const handleDelete = async () => {
+    if (!selected) return;
+    await personaStorage.delete(selected.id);
+    setSelectedId(null);
+    setConfirmDelete(false);
+    await loadPersonas();
+  };
+
+  const handleExport = async () => {
+    if (!selected) return;
+    setIsArchiving(true);
+    setArchiveError(null);
+    try {
+      const { blob, filename } = await personaArchive.exportPersona(selected.id);
+      downloadBlob(blob, filename);
+    } catch (err) {
+      setArchiveError(err.message);
+    } finally {
+      setIsArchiving(false);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    setIsArchiving(true);
+    setArchiveError(null);
+    try {
+      const imported = await personaArchive.importPersona(file);
+      await loadPersonas();
+      setSelectedId(imported.id);
+    } catch (err) {
+      setArchiveError(err.message);
+    } finally {
+      setIsArchiving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12 text-gray-500 dark:text-neutral-400">
+        <Loader2 className="w-8 h-8 animate-spin text-yellow-500 mb-3" />
+        Loading personas...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-in fade-in duration-500 w-full">
+      {/* Header */}
+      <div className="text-center">
+        <div className="w-16 h-16 bg-yellow-500/20 rounded-2xl flex items-center justify-center mx-auto mb-4">
+          <Library className="w-8 h-8 text-yellow-500" />
+        </div>
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">Persona Library</h2>
+        {storageInfo && (
+          <p className="text-gray-500 dark:text-neutral-400 text-sm mt-1 flex items-center justify-center gap-1.5">
+            <HardDrive className="w-3.5 h-3.5" />
+            {storageInfo.totalPersonas} personas · {storageInfo.completedPersonas} complete · {storageInfo.sizeInMB}
+          </p>
+        )}
+        <button
+          onClick={() => importInputRef.current?.click()}
+          disabled={isArchiving}
+          className="mt-3 text-xs px-3 py-1.5 bg-gray-200 dark:bg-neutral-700 hover:bg-yellow-500/20 disabled:opacity-50 text-gray-600 dark:text-neutral-300 rounded-full transition-colors inline-flex items-center gap-1.5"
+        >
+          {isArchiving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Upload className="w-3 h-3" />}
+          Import Archive
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      {loadError && (
+        <div className="flex items-center gap-2 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-500 text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          <span className="flex-1">Couldn't load personas: {loadError}</span>
+          <button
+            onClick={() => {
+              setIsLoading(true);
+              loadPersonas();
+            }}
+            className="text-xs px-2.5 py-1 bg-red-500/20 hover:bg-red-500/30 rounded-full transition-colors inline-flex items-center gap-1"
+          >
+            <RefreshCcw className="w-3 h-3" />
+            Retry
+          </button>
+        </div>
+      )}
+
+      {archiveError && (
+        <div className="flex items-center gap-2 p-3 bg-red-500/10 border border-red-500/20 rounded-xl text-red-500 text-sm">
+          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+          {archiveError}
+        </div>
+      )}
+
+      {loadError && personas.length === 0 ? null : personas.length === 0 ? (
+        <div className="text-center py-8 text-gray-500 dark:text-neutral-400 text-sm">
+          No personas yet. Run a capture to create one.
+        </div>
+      ) : (
+        <div className="grid grid-cols-3 gap-3">
+          {personas.map(persona => {
+            const isComplete = persona.metadata?.captureComplete;
+            return (
+              <button
+                key={persona.id}
+                onClick={() => handleSelect(persona.id)}
+                className={`relative aspect-square rounded-xl overflow-hidden border-2 transition-all ${
+                  persona.id === selectedId
+                    ? 'border-yellow-500 shadow-[0_0_15px_rgba(234,179,8,0.4)]'
+                    : 'border-transparent hover:border-gray-300 dark:hover:border-neutral-600'
+                }`}
+              >
+                {persona.texturePhoto ? (
+                  <img src={persona.texturePhoto} alt={persona.name} className="w-full h-full object-cover" />
+                ) : (
+                  <div className="w-full h-full bg-gray-100 dark:bg-neutral-800 flex items-center justify-center">
+                    <User className="w-8 h-8 text-gray-400 dark:text-neutral-600" />
+                  </div>
+                )}
+                <div className="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/80 to-transparent px-2 pt-4 pb-1.5 flex items-center gap-1">
+                  {isComplete
+                    ? <CheckCircle className="w-3 h-3 text-emerald-400 flex-shrink-0" />
+                    : <Clock className="w-3 h-3 text-yellow-400 flex-shrink-0" />}
+                  <span className="text-[10px] font-medium text-white truncate">{persona.name}</span>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Selected Persona Details */}
+      {selected && (
+        <div className="space-y-4 p-4 bg-gray-100 dark:bg-neutral-800 rounded-xl">
+          <div className="flex items-center gap-2">
+            {editingName !== null ? (
+              <>
+                <input
+                  autoFocus
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleRename();
+                    if (e.key === 'Escape') setEditingName(null);
+                  }}
+                  className="flex-1 min-w-0 px-3 py-1.5 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-sm text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500"
+                />
+                <button onClick={handleRename} className="p-1.5 rounded-lg hover:bg-gray-200 dark:hover:bg-neutral-700" title="Save name">
+                  <Check className="w-4 h-4 text-emerald-500" />
+                </button>
+                <button onClick={() => setEditingName(null)} className="p-1.5 rounded-lg hover:bg-gray-200 dark:hover:bg-neutral-700" title="Cancel">
+                  <X className="w-4 h-4 text-gray-500 dark:text-neutral-400" />
+                </button>
+              </>
+            ) : (
+              <>
+                <h3 className="flex-1 min-w-0 text-sm font-semibold text-gray-900 dark:text-white truncate">{selected.name}</h3>
+                <button onClick={() => setEditingName(selected.name)} className="p-1.5 rounded-lg hover:bg-gray-200 dark:hover:bg-neutral-700" title="Rename">
+                  <Pencil className="w-4 h-4 text-gray-500 dark:text-neutral-400" />
+                </button>
+                <button onClick={handleExport} disabled={isArchiving} className="p-1.5 rounded-lg hover:bg-gray-200 dark:hover:bg-neutral-700 disabled:opacity-50" title="Export archive">
+                  <Download className="w-4 h-4 text-gray-500 dark:text-neutral-400" />
+                </button>
+              </>
+            )}
+          </div>
+
+          <div className="flex justify-between text-xs text-gray-500 dark:text-neutral-400">
+            <span>{new Date(selected.createdAt).toLocaleDateString()}</span>
+            <span className={selected.metadata?.captureComplete ? 'text-emerald-600 dark:text-emerald-400' : 'text-yellow-600 dark:text-yellow-400'}>
+              {selected.metadata?.captureComplete ? 'Capture complete' : 'Incomplete'}
+            </span>
+            <span className="font-mono">{formatBytes(storageInfo?.sizeByPersona?.[selected.id])}</span>
+          </div>
+
+          {/* Per-stage re-capture */}
+          <div className="space-y-1.5">
+            {CAPTURE_PLAN.map(stage => {
+              const isCaptured = !!selected.stageAssets?.[stage.id];
+              const StageIcon = stage.capture === 'video' ? Video : Camera;
+              return (
+                <div key={stage.id} className="flex items-center gap-3 px-3 py-2 bg-white dark:bg-neutral-900 rounded-lg">
+                  <StageIcon className={`w-4 h-4 ${isCaptured ? 'text-emerald-500' : 'text-gray-400 dark:text-neutral-600'}`} />
+                  <span className="flex-1 text-xs text-gray-700 dark:text-neutral-300">{stage.title}</span>
+                  <button
+                    onClick={() => onRecapture(selected, stage.id)}
+                    className="text-[10px] font-bold uppercase tracking-wider text-yellow-600 dark:text-yellow-400 hover:underline flex items-center gap-1"
+                  >
+                    <RefreshCcw className="w-3 h-3" />
+                    {isCaptured ? 'Redo' : 'Capture'}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+
+          <button
+            onClick={() => onOpenStudio(selected)}
+            disabled={!selected.texturePhoto}
+            className="w-full bg-yellow-500 hover:bg-yellow-400 disabled:bg-gray-300 dark:disabled:bg-neutral-700 text-black disabled:text-gray-500 font-bold py-2.5 rounded-xl transition-colors flex items-center justify-center gap-2 text-sm"
+          >
+            <Sparkles className="w-4 h-4" /> Open in Gemini Studio
+          </button>
+
+          {confirmDelete ? (
+            <div className="flex items-center gap-2">
+              <span className="flex-1 text-xs text-red-500">Delete "{selected.name}" permanently?</span>
+              <button
+                onClick={handleDelete}
+                className="px-3 py-1.5 bg-red-500 hover:bg-red-400 text-white text-xs font-bold rounded-lg transition-colors"
+              >
+                Delete
+              </button>
+              <button
+                onClick={() => setConfirmDelete(false)}
+                className="px-3 py-1.5 bg-gray-200 dark:bg-neutral-700 text-gray-700 dark:text-neutral-300 text-xs font-bold rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={() => setConfirmDelete(true)}
+              className="w-full text-red-500 hover:bg-red-500/10 font-medium py-2 rounded-xl transition-colors flex items-center justify-center gap-2 text-sm"
+            >
+              <Trash2 className="w-4 h-4" /> Delete Persona
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Back Button */}
+      <button
+        onClick={onBack}
+        className="w-full text-gray-500 dark:text-neutral-400 hover:text-gray-900 dark:hover:text-white font-medium py-2 transition-colors flex items-center justify-center gap-2"
+      >
+        <ChevronLeft className="w-4 h-4" />
+        Back
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BookMarked, Plus, Star, Pencil, Trash2, Copy, Upload, Download, Check, X, AlertCircle } from 'lucide-react';
+import { promptTemplates, parseVariables, fillTemplate } from '../services/promptTemplates';
+import { downloadBlob } from '../services/personaArchive';
+
+const inputClass = 'w-full px-2 py-1.5 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-neutral-700 rounded-lg text-xs text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-500';
+const labelClass = 'text-[10px] font-bold uppercase tracking-wider text-gray-500 dark:text-neutral-400';
+const iconButtonClass = 'p-1.5 rounded-lg text-gray-500 dark:text-neutral-400 hover:bg-gray-200 dark:hover:bg-neutral-700 hover:text-gray-900 dark:hover:text-white disabled:opacity-40 transition-colors';
+
+const initialValues = (template) => Object.fromEntries(
+  parseVariables(template?.prompt || '').map(variable => [variable.name, ''])
+);
+
+// Template picker for the current mode. Choosing a template fills the prompt;
+// its `{variables}` get a small form and the prompt follows the answers.
+// Custom templates can be created, edited, shared as JSON and set as the
+// mode's default, which is applied when the prompt is empty.
+export function PromptTemplates({ mode, prompt, onApply }) {
+  const [, setVersion] = useState(0); // Re-render after the store changes
+  const [category, setCategory] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [values, setValues] = useState({});
+  const [draft, setDraft] = useState(null); // Template being created or edited
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const importInputRef = useRef(null);
+  const promptRef = useRef(prompt);
+  promptRef.current = prompt;
+
+  const templates = promptTemplates.list({ mode, category: category || null });
+  const categories = promptTemplates.categories(mode);
+  const selected = selectedId ? promptTemplates.get(selectedId) : null;
+  const variables = parseVariables(selected?.prompt || '');
+  const defaultId = promptTemplates.getDefault(mode)?.id;
+
+  const refresh = () => setVersion(v => v + 1);
+
+  const selectTemplate = (template, { apply = true } = {}) => {
+    const nextValues = initialValues(template);
+    setSelectedId(template?.id || null);
+    setValues(nextValues);
+    setDraft(null);
+    if (template && apply) onApply(fillTemplate(template.prompt, nextValues));
+  };
+
+  // New mode: preselect its default, filling the prompt only if it's empty
+  // (a history fork arrives with its own prompt)
+  useEffect(() => {
+    const template = promptTemplates.getDefault(mode);
+    setCategory('');
+    setNotice(null);
+    setError(null);
+    selectTemplate(template, { apply: !promptRef.current?.trim() });
+  }, [mode]);
+
+  const handleValueChange = (name, value) => {
+    const nextValues = { ...values, [name]: value };
+    setValues(nextValues);
+    onApply(fillTemplate(selected.prompt, nextValues));
+  };
+
+  const handleToggleDefault = () => {
+    setError(null);
+    try {
+      promptTemplates.setDefault(mode, defaultId === selected.id ? null : selected.id);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDuplicate = () => {
+    setError(null);
+    try {
+      const copy = promptTemplates.duplicate(selected.id);
+      refresh();
+      selectTemplate(copy, { apply: false });
+      setDraft(copy);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = () => {
+    setError(null);
+    try {
+      promptTemplates.delete(selected.id);
+      setSelectedId(null);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveDraft = () => {
+    setError(null);
+    try {
+      const saved = promptTemplates.save({ ...draft, mode });
+      refresh();
+      selectTemplate(saved);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([promptTemplates.exportJson()], { type: 'application/json' });
+    downloadBlob(blob, 'avataros-prompt-templates.json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    setError(null);
+    setNotice(null);
+    try {
+      const { added, updated, skipped } = promptTemplates.importJson(await file.text());
+      setNotice(`Imported ${added} new, ${updated} updated${skipped ? `, ${skipped} skipped` : ''}`);
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {/* Toolbar */}
+      <div className="flex items-center gap-2">
+        <BookMarked className="w-3.5 h-3.5 text-yellow-500" />
+        <span className={labelClass}>Templates</span>
+        <select
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+          className="ml-auto px-2 py-1 bg-gray-100 dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 rounded-lg text-xs text-gray-700 dark:text-neutral-300 focus:outline-none focus:ring-2 focus:ring-yellow-500"
+        >
+          <option value="">All categories</option>
+          {categories.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <button onClick={() => setDraft({ name: '', category: category || '', prompt: '' })} className={iconButtonClass} title="New template">
+          <Plus className="w-3.5 h-3.5" />
+        </button>
+        <button onClick={() => importInputRef.current?.click()} className={iconButtonClass} title="Import templates">
+          <Upload className="w-3.5 h-3.5" />
+        </button>
+        <button onClick={handleExport} className={iconButtonClass} title="Export custom templates">
+          <Download className="w-3.5 h-3.5" />
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      {/* Template chips */}
+      <div className="flex flex-wrap gap-2">
+        {templates.map(template => (
+          <button
+            key={template.id}
+            onClick={() => selectTemplate(template)}
+            title={template.prompt}
+            className={`text-xs px-3 py-1.5 rounded-full transition-colors flex items-center gap-1 ${
+              template.id === selectedId
+                ? 'bg-yellow-500 text-black'
+                : 'bg-gray-200 dark:bg-neutral-700 hover:bg-yellow-500/20 text-gray-600 dark:text-neutral-300'
+            }`}
+          >
+            {template.id === defaultId && <Star className="w-3 h-3 fill-current" />}
+            {template.name}
+          </button>
+        ))}
+      </div>
+
+      {/* Selected template: variables and actions */}
+      {selected && !draft && (
+        <div className="p-3 bg-gray-50 dark:bg-neutral-800/50 rounded-xl border border-gray-200 dark:border-neutral-700 space-y-2">
+          <div className="flex items-center gap-1">
+            <span className="text-xs font-semibold text-gray-900 dark:text-white flex-1 truncate">
+              {selected.name}
+              <span className="ml-2 font-normal text-gray-400 dark:text-neutral-500">
+                {selected.category}{selected.builtIn ? ' · built-in' : ''}
+              </span>
+            </span>
+            <button onClick={handleToggleDefault} className={iconButtonClass} title={defaultId === selected.id ? `Stop using as ${mode} default` : `Use as ${mode} default`}>
+              <Star className={`w-3.5 h-3.5 ${defaultId === selected.id ? 'fill-yellow-500 text-yellow-500' : ''}`} />
+            </button>
+            <button onClick={handleDuplicate} className={iconButtonClass} title="Duplicate">
+              <Copy className="w-3.5 h-3.5" />
+            </button>
+            {!selected.builtIn && (
+              <>
+                <button onClick={() => setDraft(selected)} className={iconButtonClass} title="Edit">
+                  <Pencil className="w-3.5 h-3.5" />
+                </button>
+                <button onClick={handleDelete} className={`${iconButtonClass} hover:text-red-500 dark:hover:text-red-400`} title="Delete">
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </>
+            )}
+          </div>
+
+          {variables.length > 0 && (
+            <div className="grid grid-cols-2 gap-2">
+              {variables.map(variable => (
+                <label key={variable.name} className="space-y-1">
+                  <span className={labelClass}>{variable.label}</span>
+                  <input
+                    type="text"
+                    value={values[variable.name] ?? ''}
+                    onChange={(e) => handleValueChange(variable.name, e.target.value)}
+                    placeholder={variable.defaultValue}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Create / edit */}
+      {draft && (
+        <div className="p-3 bg-gray-50 dark:bg-neutral-800/50 rounded-xl border border-gray-200 dark:border-neutral-700 space-y-2">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="space-y-1">
+              <span className={labelClass}>Name</span>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="space-y-1">
+              <span className={labelClass}>Category</span>
+              <input
+                type="text"
+                list="prompt-template-categories"
+                value={draft.category}
+                onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                placeholder="General"
+                className={inputClass}
+              />
+              <datalist id="prompt-template-categories">
+                {categories.map(name => <option key={name} value={name} />)}
+              </datalist>
+            </label>
+          </div>
+          <label className="block space-y-1">
+            <span className={labelClass}>Prompt</span>
+            <textarea
+              value={draft.prompt}
+              onChange={(e) => setDraft({ ...draft, prompt: e.target.value })}
+              rows={3}
+              placeholder="Create a photo of me wearing {outfit} in {location=Lisbon}"
+              className={`${inputClass} resize-none`}
+            />
+          </label>
+          <p className="text-[10px] text-gray-400 dark:text-neutral-500">
+            Use {'{name}'} for a variable, or {'{name=default}'} to give it a default.
+          </p>
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => { setDraft(null); setError(null); }}
+              className="text-xs px-3 py-1.5 bg-gray-200 dark:bg-neutral-700 text-gray-600 dark:text-neutral-300 rounded-lg flex items-center gap-1"
+            >
+              <X className="w-3 h-3" />
+              Cancel
+            </button>
+            <button
+              onClick={handleSaveDraft}
+              className="text-xs px-3 py-1.5 bg-yellow-500 hover:bg-yellow-400 text-black font-bold rounded-lg flex items-center gap-1"
+            >
+              <Check className="w-3 h-3" />
+              Save Template
+            </button>
+          </div>
+        </div>
+      )}
+
+      {(error || notice) && (
+        <p className={`text-xs flex items-center gap-1.5 ${error ? 'text-red-500 dark:text-red-400' : 'text-emerald-600 dark:text-emerald-400'}`}>
+          {error ? <AlertCircle className="w-3.5 h-3.5" /> : <Check className="w-3.5 h-3.5" />}
+          {error || notice}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// List the available cameras and keep the list current as devices are
+// plugged in or removed. Labels are only filled in once camera access is granted.
+export function useCameraDevices() {
+  const [devices, setDevices] = useState([]);
+
+  const refresh = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+    try {
+      const all = await navigator.mediaDevices.enumerateDevices();
+      const cameras = all.filter(device => device.kind === 'videoinput');
+      setDevices(cameras);
+      return cameras;
+    } catch (err) {
+      console.error('Failed to enumerate cameras:', err);
+      return [];
+    }
+  }, []);
+
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices) return;
+
+    refresh();
+    mediaDevices.addEventListener('devicechange', refresh);
+
+    return () => {
+      mediaDevices.removeEventListener('devicechange', refresh);
+    };
+  }, [refresh]);
+
+  return { devices, refresh };
+}
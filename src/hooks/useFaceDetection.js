@@ -1,159 +1,272 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import * as tf from '@tensorflow/tfjs';
-import * as blazeface from '@tensorflow-models/blazeface';
+import { estimateHeadPose } from '../services/headPose';
+import { estimateExpression } from '../services/expression';
+import { cameraSettings, DEFAULT_DETECTION_FPS, DEFAULT_DETECTOR } from '../services/cameraSettings';
 
-export function useFaceDetection(videoRef, isActive = true) {
-  const [model, setModel] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [faceData, setFaceData] = useState({
-    detected: false,
-    centered: false,
-    position: null,
-    landmarks: null,
-    confidence: 0
-  });
-
-  const animationRef = useRef(null);
-  const isRunningRef = useRef(false);
-
-  // Load the BlazeFace model
-  useEffect(() => {
-    let isMounted = true;
-
-    const loadModel = async () => {
-      try {
-        await tf.ready();
-        const loadedModel = await blazeface.load();
-
-        if (isMounted) {
-          setModel(loadedModel);
-          setIsLoading(false);
-        }
-      } catch (err) {
-        console.error('Failed to load BlazeFace model:', err);
-        if (isMounted) {
-          setError(err.message);
-          setIsLoading(false);
-        }
-      }
-    };
+// Frames are downscaled to this width before being sent to the worker.
+// Both detectors work on inputs of 192px or less, so more detail only costs transfer time.
+const DETECTION_WIDTH = 640;
 
-    loadModel();
+// Smallest changes worth a re-render of the HUD
+const POSITION_EPSILON = 0.01;  // Share of the frame width
+const POSE_EPSILON = 1.5;       // Degrees
+const CONFIDENCE_EPSILON = 0.02;
 
-    return () => {
-      isMounted = false;
-    };
-  }, []);
+// Smoothing of the live inference time shown in the diagnostics, and the
+// relative change needed before it's updated
+const INFERENCE_SMOOTHING = 0.1;
+const INFERENCE_REPORT_CHANGE = 0.1;
 
-  // Check if face is properly centered in the frame
-  const checkFaceCentered = useCallback((face, videoWidth, videoHeight) => {
-    if (!face) return false;
+// Winner of this session's backend benchmark, so remounts skip re-testing
+let benchmarkedBackend = null;
 
-    const [x1, y1] = face.topLeft;
-    const [x2, y2] = face.bottomRight;
+const NO_FACE = {
+  detected: false,
+  faceCount: 0,
+  centered: false,
+  position: null,
+  landmarks: null,
+  pose: null,
+  confidence: 0,
+  mesh: null,
+  expression: null
+};
 
-    const faceWidth = x2 - x1;
-    const faceHeight = y2 - y1;
-    const faceCenterX = x1 + faceWidth / 2;
-    const faceCenterY = y1 + faceHeight / 2;
+// Check if face is properly centered in the frame
+function checkFaceCentered(face, videoWidth, videoHeight) {
+  if (!face) return false;
 
-    const videoCenterX = videoWidth / 2;
-    const videoCenterY = videoHeight / 2;
+  const [x1, y1] = face.topLeft;
+  const [x2, y2] = face.bottomRight;
 
-    // Check if face center is within 15% of video center
-    const toleranceX = videoWidth * 0.15;
-    const toleranceY = videoHeight * 0.15;
+  const faceWidth = x2 - x1;
+  const faceHeight = y2 - y1;
+  const faceCenterX = x1 + faceWidth / 2;
+  const faceCenterY = y1 + faceHeight / 2;
 
-    const isCenteredX = Math.abs(faceCenterX - videoCenterX) < toleranceX;
-    const isCenteredY = Math.abs(faceCenterY - videoCenterY) < toleranceY;
+  const videoCenterX = videoWidth / 2;
+  const videoCenterY = videoHeight / 2;
 
-    // Check if face size is appropriate (not too close or too far)
-    const faceArea = faceWidth * faceHeight;
-    const videoArea = videoWidth * videoHeight;
-    const faceRatio = faceArea / videoArea;
+  // Check if face center is within 15% of video center
+  const toleranceX = videoWidth * 0.15;
+  const toleranceY = videoHeight * 0.15;
 
-    const isProperSize = faceRatio > 0.05 && faceRatio < 0.4;
+  const isCenteredX = Math.abs(faceCenterX - videoCenterX) < toleranceX;
+  const isCenteredY = Math.abs(faceCenterY - videoCenterY) < toleranceY;
 
-    return isCenteredX && isCenteredY && isProperSize;
-  }, []);
+  // Check if face size is appropriate (not too close or too far)
+  const faceArea = faceWidth * faceHeight;
+  const videoArea = videoWidth * videoHeight;
+  const faceRatio = faceArea / videoArea;
 
-  // Run face detection
-  const detectFace = useCallback(async () => {
-    if (!model || !videoRef?.current || !isActive) return;
+  const isProperSize = faceRatio > 0.05 && faceRatio < 0.4;
+
+  return isCenteredX && isCenteredY && isProperSize;
+}
+
+// The largest face, i.e. the person closest to the camera
+function primaryFace(faces) {
+  const area = (face) => (face.bottomRight[0] - face.topLeft[0]) * (face.bottomRight[1] - face.topLeft[1]);
+  return faces.reduce((best, face) => (!best || area(face) > area(best) ? face : best), null);
+}
+
+function toFaceData(faces, videoWidth, videoHeight) {
+  const face = primaryFace(faces);
+  if (!face) return NO_FACE;
+
+  return {
+    detected: true,
+    faceCount: faces.length,
+    centered: checkFaceCentered(face, videoWidth, videoHeight),
+    position: {
+      topLeft: face.topLeft,
+      bottomRight: face.bottomRight,
+      width: face.bottomRight[0] - face.topLeft[0],
+      height: face.bottomRight[1] - face.topLeft[1]
+    },
+    landmarks: face.landmarks,
+    pose: estimateHeadPose(face.landmarks),
+    confidence: face.probability,
+    mesh: face.mesh || null,
+    expression: estimateExpression(face.mesh)
+  };
+}
+
+// Whether `next` differs from `prev` enough to be worth a state update.
+// Sub-pixel jitter between detections would otherwise re-render every frame.
+function hasMeaningfulChange(prev, next, videoWidth) {
+  if (prev.detected !== next.detected || prev.centered !== next.centered) return true;
+  if (prev.faceCount !== next.faceCount) return true;
+  if (prev.expression !== next.expression) return true;
+  if (!next.detected) return false;
+
+  const tolerance = videoWidth * POSITION_EPSILON;
+  const moved = [0, 1].some(axis => (
+    Math.abs(prev.position.topLeft[axis] - next.position.topLeft[axis]) > tolerance ||
+    Math.abs(prev.position.bottomRight[axis] - next.position.bottomRight[axis]) > tolerance
+  ));
+  const turned = !prev.pose !== !next.pose || (next.pose && ['yaw', 'pitch', 'roll'].some(
+    angle => Math.abs(prev.pose[angle] - next.pose[angle]) > POSE_EPSILON
+  ));
+
+  return moved || turned || Math.abs(prev.confidence - next.confidence) > CONFIDENCE_EPSILON;
+}
+
+// Live face detection on `videoRef`. The chosen `detector` (see FACE_DETECTORS
+// in services/faceDetectors) runs in a Web Worker at up to `targetFps`; the
+// next frame is only sent once the previous one is answered, so slow machines
+// drop frames instead of queueing them. The worker picks the fastest TF.js
+// backend (WebGL, WASM or CPU); `diagnostics` reports which one and how long
+// an inference takes. `modelSources` are tried in order; if none loads,
+// `error` is set and the caller should fall back to manual capture.
+// `faceData` describes the largest face; `faceData.faceCount` says how many
+// were found, so callers can refuse to capture with others in frame. With
+// Face Mesh, `faceData.mesh` holds the dense landmarks and
+// `faceData.expression` is estimated from them. `faceData` only changes on a
+// meaningful move, so captures should take `getLatestFaceData()`, the most
+// recent detection, for the mesh.
+export function useFaceDetection(videoRef, isActive = true, {
+  targetFps = DEFAULT_DETECTION_FPS,
+  detector = DEFAULT_DETECTOR,
+  modelSources = cameraSettings.getFaceModelSources(undefined, detector)
+} = {}) {
+  const [isModelReady, setIsModelReady] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null); // Loading step, for the HUD
+  const [diagnostics, setDiagnostics] = useState(null); // { backend, inferenceMs, averageMs, results }
+  const [faceData, setFaceData] = useState(NO_FACE);
 
-    const video = videoRef.current;
+  const workerRef = useRef(null);
+  const pendingRef = useRef(null); // Resolves the detection in flight
+  const averageMsRef = useRef(null);
+  const latestFaceRef = useRef(NO_FACE); // Every detection, not just meaningful changes
 
-    if (video.readyState !== 4) return;
+  // Restart the worker when the detector or model location changes
+  const modelKey = JSON.stringify({ detector, modelSources });
+
+  // Start the worker, which loads the face model
+  useEffect(() => {
+    setIsModelReady(false);
+    setIsLoading(true);
+    setError(null);
+    setDiagnostics(null);
+    latestFaceRef.current = NO_FACE;
+
+    const worker = new Worker(new URL('../workers/faceDetection.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'status') {
+        setStatus(data.message);
+      } else if (data.type === 'ready') {
+        benchmarkedBackend = data.diagnostics.backend;
+        averageMsRef.current = data.diagnostics.inferenceMs;
+        setDiagnostics({ ...data.diagnostics, averageMs: data.diagnostics.inferenceMs });
+        setStatus(null);
+        setIsModelReady(true);
+        setIsLoading(false);
+      } else if (data.type === 'error') {
+        console.error('Failed to load face model:', data.message);
+        setError(data.message);
+        setStatus(null);
+        setIsLoading(false);
+      } else if (data.type === 'faces') {
+        pendingRef.current?.(data);
+        pendingRef.current = null;
+      }
+    };
+
+    worker.onerror = (event) => {
+      console.error('Face detection worker failed:', event.message);
+      setError(event.message || 'Face detection worker failed to start');
+      setStatus(null);
+      setIsLoading(false);
+    };
+
+    worker.postMessage({ type: 'init', ...JSON.parse(modelKey), preferredBackend: benchmarkedBackend });
+
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+      pendingRef.current?.(null);
+      pendingRef.current = null;
+    };
+  }, [modelKey]);
+
+  // Send the current video frame to the worker and wait for its answer
+  const detectFace = useCallback(async () => {
+    const video = videoRef?.current;
+    const worker = workerRef.current;
+    if (!video || !worker || video.readyState !== 4) return;
 
     try {
-      const predictions = await model.estimateFaces(video, false);
-
-      if (predictions.length > 0) {
-        const face = predictions[0];
-        const videoWidth = video.videoWidth;
-        const videoHeight = video.videoHeight;
-
-        const isCentered = checkFaceCentered(face, videoWidth, videoHeight);
-
-        setFaceData({
-          detected: true,
-          centered: isCentered,
-          position: {
-            topLeft: face.topLeft,
-            bottomRight: face.bottomRight,
-            width: face.bottomRight[0] - face.topLeft[0],
-            height: face.bottomRight[1] - face.topLeft[1]
-          },
-          landmarks: face.landmarks,
-          confidence: face.probability[0]
-        });
-      } else {
-        setFaceData({
-          detected: false,
-          centered: false,
-          position: null,
-          landmarks: null,
-          confidence: 0
-        });
+      const { videoWidth, videoHeight } = video;
+      const scale = Math.min(1, DETECTION_WIDTH / videoWidth);
+      const frame = await createImageBitmap(video, {
+        resizeWidth: Math.round(videoWidth * scale),
+        resizeHeight: Math.round(videoHeight * scale),
+        resizeQuality: 'low'
+      });
+
+      const result = await new Promise(resolve => {
+        pendingRef.current = resolve;
+        worker.postMessage({ type: 'detect', frame, scale }, [frame]);
+      });
+      if (!result) return; // Worker stopped
+
+      if (result.inferenceMs > 0) {
+        const averageMs = averageMsRef.current === null
+          ? result.inferenceMs
+          : averageMsRef.current + INFERENCE_SMOOTHING * (result.inferenceMs - averageMsRef.current);
+        averageMsRef.current = averageMs;
+        setDiagnostics(prev => (
+          prev && Math.abs(averageMs - prev.averageMs) > prev.averageMs * INFERENCE_REPORT_CHANGE
+            ? { ...prev, averageMs }
+            : prev
+        ));
       }
+
+      const next = toFaceData(result.faces, videoWidth, videoHeight);
+      latestFaceRef.current = next;
+      setFaceData(prev => (hasMeaningfulChange(prev, next, videoWidth) ? next : prev));
     } catch (err) {
       console.error('Face detection error:', err);
     }
-  }, [model, videoRef, isActive, checkFaceCentered]);
+  }, [videoRef]);
 
   // Run detection loop
   useEffect(() => {
-    if (!model || !isActive) {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-        isRunningRef.current = false;
-      }
-      return;
-    }
+    if (!isModelReady || !isActive) return;
 
-    const runDetection = async () => {
-      if (!isRunningRef.current) return;
+    const interval = 1000 / Math.max(1, targetFps);
+    let timer = null;
+    let isRunning = true;
 
+    const runDetection = async () => {
+      const startedAt = performance.now();
       await detectFace();
-      animationRef.current = requestAnimationFrame(runDetection);
+      if (!isRunning) return;
+      timer = setTimeout(runDetection, Math.max(0, interval - (performance.now() - startedAt)));
     };
 
-    isRunningRef.current = true;
     runDetection();
 
     return () => {
-      isRunningRef.current = false;
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
+      isRunning = false;
+      clearTimeout(timer);
     };
-  }, [model, isActive, detectFace]);
+  }, [isModelReady, isActive, targetFps, detectFace]);
+
+  const getLatestFaceData = useCallback(() => latestFaceRef.current, []);
 
   return {
     isLoading,
     error,
     faceData,
-    isModelReady: !!model
+    getLatestFaceData,
+    isModelReady,
+    status,
+    diagnostics
   };
 }
@@ -0,0 +1,91 @@
+import { useRef, useCallback, useEffect } from 'react';
+
+// Preferred container/codec combinations, best first
+const MIME_CANDIDATES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'video/mp4'
+];
+
+export function getSupportedRecordingMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return MIME_CANDIDATES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+export function useMediaRecorder() {
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const startedAtRef = useRef(0);
+
+  const isSupported = typeof MediaRecorder !== 'undefined';
+
+  // Start recording the given stream. Returns false if recording isn't possible.
+  const start = useCallback((stream) => {
+    if (!isSupported || !stream || recorderRef.current) return false;
+
+    const mimeType = getSupportedRecordingMimeType();
+
+    try {
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      chunksRef.current = [];
+
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) {
+          chunksRef.current.push(event.data);
+        }
+      };
+
+      // Emit data every second so a crash mid-recording loses little
+      recorder.start(1000);
+      recorderRef.current = recorder;
+      startedAtRef.current = Date.now();
+      return true;
+    } catch (err) {
+      console.error('Failed to start MediaRecorder:', err);
+      return false;
+    }
+  }, [isSupported]);
+
+  // Stop recording and resolve with { blob, mimeType, duration, hasAudio } (or null)
+  const stop = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (!recorder) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        const mimeType = recorder.mimeType || 'video/webm';
+        const blob = new Blob(chunksRef.current, { type: mimeType });
+        const hasAudio = recorder.stream.getAudioTracks().length > 0;
+
+        recorderRef.current = null;
+        chunksRef.current = [];
+
+        resolve(blob.size > 0
+          ? { blob, mimeType, duration: Date.now() - startedAtRef.current, hasAudio }
+          : null);
+      };
+
+      if (recorder.state === 'inactive') {
+        recorder.onstop();
+      } else {
+        recorder.stop();
+      }
+    });
+  }, []);
+
+  // Discard any in-progress recording on unmount
+  useEffect(() => {
+    return () => {
+      const recorder = recorderRef.current;
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.ondataavailable = null;
+        recorder.onstop = null;
+        recorder.stop();
+      }
+      recorderRef.current = null;
+    };
+  }, []);
+
+  return { isSupported, start, stop };
+}
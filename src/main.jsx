@@ -7,4 +7,13 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>,
-)
\ No newline at end of file
+)
+
+// Caches the face model so capture works offline. Production only: the dev
+// server should always serve fresh files.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch(error => console.warn('Service worker registration failed:', error));
+  });
+}
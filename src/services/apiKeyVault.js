@@ -0,0 +1,109 @@
+const LEGACY_KEY_STORAGE = 'avatarOS_gemini_api_key';           // Plaintext, before the vault
+const SESSION_KEY_STORAGE = 'avatarOS_gemini_api_key_session';   // sessionStorage
+const ENCRYPTED_KEY_STORAGE = 'avatarOS_gemini_api_key_encrypted'; // localStorage
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// AES-GCM key derived from the passphrase
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Where the API key is kept between page loads. Either for this browser
+// session only (sessionStorage, gone when the tab closes) or in localStorage
+// encrypted with AES-GCM under a passphrase-derived key. The plaintext key is
+// never written to localStorage.
+export const apiKeyVault = {
+  // Key saved for this session, if any. An old plaintext key from before the
+  // vault is moved here and removed from localStorage.
+  loadSession() {
+    try {
+      const legacy = localStorage.getItem(LEGACY_KEY_STORAGE);
+      if (legacy) {
+        localStorage.removeItem(LEGACY_KEY_STORAGE);
+        this.saveSession(legacy);
+      }
+      return sessionStorage.getItem(SESSION_KEY_STORAGE);
+    } catch (error) {
+      console.error('Failed to load API key:', error);
+      return null;
+    }
+  },
+
+  saveSession(apiKey) {
+    try {
+      sessionStorage.setItem(SESSION_KEY_STORAGE, apiKey);
+    } catch (error) {
+      console.error('Failed to save API key:', error);
+    }
+  },
+
+  hasEncryptedKey() {
+    return !!localStorage.getItem(ENCRYPTED_KEY_STORAGE);
+  },
+
+  // Encrypt the key under `passphrase` and keep it in localStorage
+  async saveEncrypted(apiKey, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(apiKey));
+
+    localStorage.setItem(ENCRYPTED_KEY_STORAGE, JSON.stringify({
+      version: 1,
+      iterations: PBKDF2_ITERATIONS,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      ciphertext: toBase64(ciphertext)
+    }));
+  },
+
+  // Decrypt the stored key. Rejects on a wrong passphrase.
+  async unlock(passphrase) {
+    const stored = JSON.parse(localStorage.getItem(ENCRYPTED_KEY_STORAGE) || 'null');
+    if (!stored) {
+      throw new Error('No saved API key');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(stored.salt), stored.iterations);
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(stored.iv) }, key, fromBase64(stored.ciphertext)
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch (error) {
+      // AES-GCM authentication fails when the derived key is wrong
+      throw new Error('Wrong passphrase');
+    }
+  },
+
+  // Remove the key from every storage location
+  clear() {
+    sessionStorage.removeItem(SESSION_KEY_STORAGE);
+    localStorage.removeItem(ENCRYPTED_KEY_STORAGE);
+    localStorage.removeItem(LEGACY_KEY_STORAGE);
+  }
+};
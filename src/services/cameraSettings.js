@@ -0,0 +1,152 @@
+const SETTINGS_STORAGE = 'avatarOS_camera_settings';
+
+export const RESOLUTIONS = [
+  { id: '1080p', label: '1080p (1920×1080)', width: 1920, height: 1080 },
+  { id: '720p', label: '720p (1280×720)', width: 1280, height: 720 },
+  { id: '480p', label: '480p (640×480)', width: 640, height: 480 }
+];
+
+// Face detection rates offered in the camera settings (frames per second)
+export const DETECTION_FPS_OPTIONS = [5, 10, 15, 30];
+export const DEFAULT_DETECTION_FPS = 15;
+
+// Live face detectors. BlazeFace gives a box and six landmarks; Face Mesh adds
+// 468 3D landmarks (stored with each capture) and expression checks, but is slower.
+export const FACE_DETECTORS = [
+  { id: 'blazeface', label: 'BlazeFace · fast, 6 landmarks' },
+  { id: 'facemesh', label: 'Face Mesh · 468 landmarks, expressions' }
+];
+export const DEFAULT_DETECTOR = 'blazeface';
+
+// Model weights shipped in the app's own assets (public/models, refreshed by
+// `npm run fetch-models`), and the TF Hub originals used if they can't be loaded
+export const BUNDLED_FACE_MODEL_URL = `${import.meta.env.BASE_URL}models/blazeface/model.json`;
+export const REMOTE_FACE_MODEL_URL = 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1/model.json?tfjs-format=file';
+// Face Mesh needs two models; its URL is a folder with detector/ and landmarks/.
+// The bundled copy only ships landmarks/ and reuses the BlazeFace model, which
+// is the same short-range face detector.
+export const BUNDLED_FACE_MESH_URL = `${import.meta.env.BASE_URL}models/face_mesh/`;
+export const REMOTE_FACE_MESH_MODELS = {
+  detector: 'https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1/model.json?tfjs-format=file',
+  landmarks: 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/face_mesh/1/model.json?tfjs-format=file'
+};
+
+const DEFAULT_SETTINGS = {
+  deviceId: null,      // null = browser default front camera
+  resolutionId: '720p',
+  detectionFps: DEFAULT_DETECTION_FPS,
+  detector: DEFAULT_DETECTOR,
+  faceModelUrl: null,  // null = bundled BlazeFace model
+  faceMeshUrl: null,   // null = bundled Face Mesh models
+  faceGuardOverride: false  // true = capture without requiring one centred face (demos)
+};
+
+// Errors that mean "this device/resolution won't work, try another one"
+const RECOVERABLE_ERRORS = ['OverconstrainedError', 'NotFoundError', 'NotReadableError', 'AbortError'];
+
+export const cameraSettings = {
+  // Load the remembered camera choice
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE));
+      return { ...DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+      return { ...DEFAULT_SETTINGS };
+    }
+  },
+
+  // Remember the camera choice
+  save(settings) {
+    const merged = { ...this.load(), ...settings };
+    try {
+      localStorage.setItem(SETTINGS_STORAGE, JSON.stringify(merged));
+    } catch (error) {
+      console.error('Failed to save camera settings:', error);
+    }
+    return merged;
+  },
+
+  // Model sources for `detector` to try in order: a model.json URL for
+  // BlazeFace, { detector, landmarks } URLs for Face Mesh. Workers resolve
+  // relative URLs against their own script, so they're made absolute here. A
+  // custom location is used on its own; the bundled models fall back to TF Hub.
+  getFaceModelSources(settings = this.load(), detector = settings.detector) {
+    const resolve = (url, base = document.baseURI) => new URL(url, base).href;
+
+    if (detector === 'facemesh') {
+      if (settings.faceMeshUrl) {
+        const folder = resolve(settings.faceMeshUrl.replace(/\/?$/, '/'));
+        return [{ detector: resolve('detector/model.json', folder), landmarks: resolve('landmarks/model.json', folder) }];
+      }
+      const bundled = {
+        detector: resolve(BUNDLED_FACE_MODEL_URL),
+        landmarks: resolve('landmarks/model.json', resolve(BUNDLED_FACE_MESH_URL))
+      };
+      return [bundled, REMOTE_FACE_MESH_MODELS];
+    }
+
+    return settings.faceModelUrl
+      ? [resolve(settings.faceModelUrl)]
+      : [resolve(BUNDLED_FACE_MODEL_URL), REMOTE_FACE_MODEL_URL];
+  },
+
+  // Ordered list of constraints to try: preferred device at the preferred
+  // resolution first, then lower resolutions, then the default camera.
+  getCandidates({ deviceId, resolutionId }) {
+    const start = Math.max(0, RESOLUTIONS.findIndex(r => r.id === resolutionId));
+    const resolutions = RESOLUTIONS.slice(start);
+    const devices = deviceId ? [deviceId, null] : [null];
+
+    return devices.flatMap(device => resolutions.map(resolution => ({
+      deviceId: device,
+      resolution,
+      video: {
+        ...(device ? { deviceId: { exact: device } } : { facingMode: 'user' }),
+        width: { ideal: resolution.width },
+        height: { ideal: resolution.height }
+      }
+    })));
+  },
+
+  // Open a camera stream, negotiating down until something works. Audio is
+  // optional: if the microphone is refused the stream is opened without it.
+  // Resolves with { stream, deviceId, width, height, fellBack }.
+  async openStream(settings, { audio = false } = {}) {
+    const candidates = this.getCandidates(settings);
+    let lastError = null;
+
+    for (const [index, candidate] of candidates.entries()) {
+      try {
+        const stream = await this.getUserMediaWithOptionalAudio(candidate.video, audio);
+        const track = stream.getVideoTracks()[0];
+        const actual = track?.getSettings?.() || {};
+
+        return {
+          stream,
+          deviceId: actual.deviceId || candidate.deviceId,
+          width: actual.width || candidate.resolution.width,
+          height: actual.height || candidate.resolution.height,
+          fellBack: index > 0
+        };
+      } catch (error) {
+        lastError = error;
+        // Permission problems won't be fixed by trying other constraints
+        if (!RECOVERABLE_ERRORS.includes(error.name)) break;
+        console.warn(`Camera candidate ${candidate.deviceId || 'default'} @ ${candidate.resolution.id} failed:`, error.name);
+      }
+    }
+
+    throw lastError || new Error('No camera available');
+  },
+
+  async getUserMediaWithOptionalAudio(video, audio) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ video, audio });
+    } catch (error) {
+      // Microphone is optional: retry with video only if audio was the problem
+      if (!audio || error.name === 'OverconstrainedError') throw error;
+      console.warn('Microphone unavailable, continuing without audio:', error);
+      return navigator.mediaDevices.getUserMedia({ video, audio: false });
+    }
+  }
+};
@@ -0,0 +1,117 @@
+// Declarative definition of the biometric capture sequence. The wizard renders
+// one screen per stage, in order, and each stage stores one named asset on the
+// persona (see personaStorage.stageAssets).
+//
+// Pose ranges are [min, max] in degrees (null = unbounded). Positive yaw means
+// the head is turned to the user's left, positive pitch means looking up.
+// Expressions are only enforced when the active detector reports them.
+
+export const CAPTURE_PLAN = [
+  {
+    id: 'headshot',
+    title: 'Pro Headshot',
+    summary: 'AI-aligned center photo.',
+    prompt: 'Remove glasses. Neutral expression, look straight at the camera.',
+    capture: 'photo',
+    role: 'texture', // Used as the persona's main reference photo
+    expected: {
+      pose: { yaw: [-10, 10], pitch: [-15, 15] },
+      expression: 'neutral'
+    },
+    expressionHint: 'Relax your face',
+    acceptance: {
+      requireCentered: true,
+      quality: {}
+    }
+  },
+  {
+    id: 'smile',
+    title: 'The Smile',
+    summary: 'Facial dynamics and teeth structure.',
+    prompt: 'Give a natural, open smile showing your teeth.',
+    capture: 'photo',
+    expected: {
+      pose: { yaw: [-10, 10], pitch: [-15, 15] },
+      expression: 'smile'
+    },
+    expressionHint: 'Bigger smile!',
+    acceptance: {
+      requireCentered: true,
+      quality: {}
+    }
+  },
+  {
+    id: 'profile_left',
+    title: 'Left Profile',
+    summary: 'Left side mapping for 3D depth.',
+    prompt: 'Slowly turn your head to the left until the guide turns green.',
+    capture: 'photo',
+    expected: {
+      pose: { yaw: [30, null] }
+    },
+    poseHint: 'Turn further left',
+    acceptance: {
+      requireCentered: false,
+      // Side views lower BlazeFace confidence, so relax that threshold
+      quality: { minConfidence: 0.7 }
+    }
+  },
+  {
+    id: 'profile_right',
+    title: 'Right Profile',
+    summary: 'Right side mapping for 3D depth.',
+    prompt: 'Slowly turn your head to the right until the guide turns green.',
+    capture: 'photo',
+    expected: {
+      pose: { yaw: [null, -30] }
+    },
+    poseHint: 'Turn further right',
+    acceptance: {
+      requireCentered: false,
+      quality: { minConfidence: 0.7 }
+    }
+  },
+  {
+    id: 'voice_motion',
+    title: 'Voice & Motion',
+    summary: 'Guided video with voice for lip-sync training.',
+    prompt: 'Follow the holographic guides while counting out loud from one to ten.',
+    capture: 'video',
+    role: 'volumetric', // Provides the persona's volumetric frames and recording
+    recordAudio: true,
+    // Each phase advances only once its pose is held (relative to "Look Center")
+    sequence: [
+      { id: 'center', instruction: 'Look Center', pose: { yaw: [-10, 10], pitch: [-15, 15] } },
+      { id: 'left', instruction: 'Turn Left', pose: { yaw: [20, null] } },
+      { id: 'right', instruction: 'Turn Right', pose: { yaw: [null, -20] } },
+      { id: 'up', instruction: 'Look Up', pose: { pitch: [12, null] } },
+      { id: 'down', instruction: 'Look Down', pose: { pitch: [null, -12] } }
+    ],
+    acceptance: {
+      holdMs: 600,
+      quality: {}
+    }
+  }
+];
+
+export function getStage(stageId) {
+  return CAPTURE_PLAN.find(stage => stage.id === stageId) || null;
+}
+
+// Check a measured pose against a { yaw, pitch, roll } range definition
+export function poseMatches(pose, range) {
+  if (!range) return true;
+  if (!pose) return false;
+
+  return Object.entries(range).every(([axis, [min, max]]) => {
+    const value = pose[axis];
+    if (value === undefined || value === null) return false;
+    return (min === null || value >= min) && (max === null || value <= max);
+  });
+}
+
+// Check an expected expression. Detectors that don't report expressions pass.
+export function expressionMatches(faceData, expression) {
+  if (!expression || !faceData?.expression) return true;
+  return faceData.expression === expression;
+}
@@ -0,0 +1,144 @@
+const DB_NAME = 'avatarOS';
+const DB_VERSION = 2;
+
+export const STORES = {
+  personas: 'personas',
+  blobs: 'blobs',
+  generations: 'generations'
+};
+
+// Wrap an IDBRequest in a promise
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Create or upgrade object stores. Each block runs once per schema version.
+function upgrade(db, oldVersion) {
+  if (oldVersion < 1) {
+    db.createObjectStore(STORES.personas, { keyPath: 'id' });
+    const blobs = db.createObjectStore(STORES.blobs, { keyPath: 'id' });
+    blobs.createIndex('personaId', 'personaId', { unique: false });
+  }
+
+  if (oldVersion < 2) {
+    // Gemini Studio history: one record per generation, outputs stored inline
+    const generations = db.createObjectStore(STORES.generations, { keyPath: 'id' });
+    generations.createIndex('personaId', 'personaId', { unique: false });
+  }
+}
+
+export const database = {
+  connection: null,
+
+  // Open (or reuse) the IndexedDB connection
+  open() {
+    if (this.connection) return this.connection;
+
+    this.connection = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let other tabs upgrade the schema instead of blocking them
+        db.onversionchange = () => {
+          db.close();
+          this.connection = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry after a failed open
+    this.connection.catch(() => {
+      this.connection = null;
+    });
+
+    return this.connection;
+  },
+
+  // Run a callback inside a transaction. The callback receives a map of object
+  // stores by name and must only await IndexedDB requests, otherwise the
+  // transaction auto-commits. Resolves with the callback's value once committed.
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+    const names = [].concat(storeNames);
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(names, mode);
+      const stores = {};
+      names.forEach(name => {
+        stores[name] = tx.objectStore(name);
+      });
+
+      let result;
+      new Promise(res => res(callback(stores))).then(
+        value => { result = value; },
+        error => {
+          try {
+            tx.abort();
+          } catch {
+            // Transaction already finished
+          }
+          reject(error);
+        }
+      );
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  },
+
+  // Convenience helpers for single-request operations
+  get(storeName, key) {
+    return this.transaction(storeName, 'readonly', stores => promisifyRequest(stores[storeName].get(key)));
+  },
+
+  getAll(storeName) {
+    return this.transaction(storeName, 'readonly', stores => promisifyRequest(stores[storeName].getAll()));
+  },
+
+  put(storeName, value) {
+    return this.transaction(storeName, 'readwrite', stores => promisifyRequest(stores[storeName].put(value)));
+  },
+
+  delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', stores => promisifyRequest(stores[storeName].delete(key)));
+  }
+};
+
+// Generate a reasonably unique ID for records created within the same millisecond
+export function createId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Convert a base64 data URL into a Blob (synchronous, safe inside transactions)
+export function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(',');
+  const mimeType = header.match(/data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+// Convert a Blob back into a base64 data URL
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
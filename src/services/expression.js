@@ -0,0 +1,30 @@
+// Face mesh indices (MediaPipe 468-point topology)
+const RIGHT_EYE_OUTER = 33;
+const LEFT_EYE_OUTER = 263;
+const MOUTH_RIGHT = 61;
+const MOUTH_LEFT = 291;
+const UPPER_LIP = 13;
+const LOWER_LIP = 14;
+
+// A relaxed mouth is roughly half as wide as the outer eye corners are apart;
+// smiling widens it and lifts the corners above the lip centre
+const SMILE_WIDTH_RATIO = 0.6;
+const SMILE_CORNER_LIFT = 0.03;  // Relative to the eye distance
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// Classify the expression from dense face mesh landmarks ([x, y, z] points in
+// raw video coordinates). Returns 'smile', 'neutral', or null without a mesh.
+export function estimateExpression(mesh) {
+  if (!mesh || mesh.length <= LOWER_LIP) return null;
+
+  const eyeDistance = distance(mesh[RIGHT_EYE_OUTER], mesh[LEFT_EYE_OUTER]);
+  if (eyeDistance === 0) return null;
+
+  const widthRatio = distance(mesh[MOUTH_RIGHT], mesh[MOUTH_LEFT]) / eyeDistance;
+  const lipCenterY = (mesh[UPPER_LIP][1] + mesh[LOWER_LIP][1]) / 2;
+  const cornerY = (mesh[MOUTH_RIGHT][1] + mesh[MOUTH_LEFT][1]) / 2;
+  const cornerLift = (lipCenterY - cornerY) / eyeDistance;
+
+  return widthRatio > SMILE_WIDTH_RATIO || cornerLift > SMILE_CORNER_LIFT ? 'smile' : 'neutral';
+}
@@ -0,0 +1,176 @@
+import * as tf from '@tensorflow/tfjs';
+import * as blazeface from '@tensorflow-models/blazeface';
+import * as faceLandmarksDetection from '@tensorflow-models/face-landmarks-detection';
+
+// A stalled download fails instead of leaving capture on "Loading AI Model..."
+const LOAD_TIMEOUT_MS = 20000;
+
+const MAX_FACES = 4;
+
+// Face Mesh drops faces whose face flag is below this
+const FACE_PRESENCE_THRESHOLD = 0.5;
+
+// Reported for Face Mesh faces when the face flag can't be read
+const FALLBACK_FACE_SCORE = 1;
+
+// Face mesh points standing in for BlazeFace's six landmarks (right eye, left
+// eye, nose, mouth, right ear, left ear), so head pose works with either detector
+const MESH_KEYPOINTS = [[33, 133], [362, 263], [1], [13, 14], [234], [454]];
+
+const average = (points) => [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+
+let faceScoreWarningShown = false;
+function warnNoFaceScores(reason) {
+  if (faceScoreWarningShown) return;
+  faceScoreWarningShown = true;
+  console.warn(`Face Mesh scores unavailable (${reason}); reporting ${FALLBACK_FACE_SCORE} instead`);
+}
+
+// Face Mesh results carry no score. The landmark model's face flag is the
+// score, and it's read inside the library, so keep a copy of the flag from
+// each landmark run. Runs happen in face order. This relies on the library's
+// internals (package.json pins its version); if they don't look as expected,
+// `faceScores` stays null and faces get FALLBACK_FACE_SCORE.
+function recordFaceScores(model) {
+  model.faceScores = null;
+  const { landmarkModel } = model;
+  if (typeof landmarkModel?.execute !== 'function') {
+    warnNoFaceScores('landmark model not found');
+    return;
+  }
+
+  const execute = landmarkModel.execute.bind(landmarkModel);
+  model.faceScores = [];
+  landmarkModel.execute = (inputs, outputs) => {
+    const result = execute(inputs, outputs);
+    const flag = Array.isArray(result) ? result[0] : null;
+    if (!model.faceScores) return result;
+    if (flag?.size === 1 && typeof flag.data === 'function') {
+      model.faceScores.push(tf.clone(flag));
+    } else {
+      warnNoFaceScores('unexpected landmark model output');
+      tf.dispose(model.faceScores);
+      model.faceScores = null;
+    }
+    return result;
+  };
+}
+
+// Scores of the faces the last estimate kept, or null when they can't be
+// read. Those below the library's presence threshold were dropped from its
+// results, so they're dropped here too.
+async function takeFaceScores(model) {
+  const flags = model.faceScores;
+  if (!flags) return null;
+  model.faceScores = [];
+  const scores = await Promise.all(flags.map(async flag => (await flag.data())[0]));
+  tf.dispose(flags);
+  return scores.filter(score => score >= FACE_PRESENCE_THRESHOLD);
+}
+
+// Model loader that aborts with `signal`
+const httpSource = (url, signal) => tf.io.http(url, { requestInit: { signal } });
+
+// Live face detectors. Each loads from a model source (see
+// cameraSettings.getFaceModelSources) and returns faces as
+//   { topLeft, bottomRight, landmarks, probability, mesh }
+// in input pixels. `landmarks` are the six BlazeFace points; `mesh` holds the
+// dense [x, y, z] landmarks, or null when the detector has none.
+export const FACE_DETECTORS = {
+  blazeface: {
+    load(url, signal) {
+      return blazeface.load({ maxFaces: MAX_FACES, modelUrl: httpSource(url, signal) });
+    },
+
+    async estimate(model, input) {
+      const predictions = await model.estimateFaces(input, false);
+      return predictions.map(face => ({
+        topLeft: face.topLeft,
+        bottomRight: face.bottomRight,
+        landmarks: face.landmarks,
+        probability: face.probability[0],
+        mesh: null
+      }));
+    }
+  },
+
+  // MediaPipe Face Mesh: 468 3D landmarks. Source is { detector, landmarks }.
+  facemesh: {
+    async load(source, signal) {
+      const model = await faceLandmarksDetection.createDetector(faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh, {
+        runtime: 'tfjs',
+        maxFaces: MAX_FACES,
+        refineLandmarks: false,
+        detectorModelUrl: httpSource(source.detector, signal),
+        landmarkModelUrl: httpSource(source.landmarks, signal)
+      });
+      recordFaceScores(model);
+      return model;
+    },
+
+    async estimate(model, input) {
+      if (model.faceScores) {
+        tf.dispose(model.faceScores);
+        model.faceScores = [];
+      }
+      const faces = await model.estimateFaces(input, { flipHorizontal: false });
+      let scores = await takeFaceScores(model);
+      if (scores && scores.length !== faces.length) {
+        warnNoFaceScores(`${scores.length} scores for ${faces.length} faces`);
+        scores = null;
+      }
+
+      return faces.map((face, index) => {
+        const mesh = face.keypoints.map(({ x, y, z }) => [x, y, z]);
+        return {
+          topLeft: [face.box.xMin, face.box.yMin],
+          bottomRight: [face.box.xMax, face.box.yMax],
+          landmarks: MESH_KEYPOINTS.map(indices => average(indices.map(index => mesh[index]))),
+          probability: scores ? scores[index] : FALLBACK_FACE_SCORE,
+          mesh
+        };
+      });
+    }
+  }
+};
+
+async function loadFrom(detector, source) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LOAD_TIMEOUT_MS);
+
+  try {
+    return await detector.load(source, controller.signal);
+  } catch (error) {
+    throw new Error(controller.signal.aborted ? `timed out after ${LOAD_TIMEOUT_MS / 1000}s` : error.message || String(error));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Where a source is loaded from, for error messages
+function describeSource(source) {
+  return new URL(typeof source === 'string' ? source : source.landmarks).host;
+}
+
+// Load detector `id` from the first of `sources` that works. Resolves with
+// { id, estimate(input) }; rejects with every failure listed.
+export async function loadFaceDetector(id, sources, { onStatus } = {}) {
+  const detector = FACE_DETECTORS[id];
+  if (!detector) {
+    throw new Error(`Unknown face detector: ${id}`);
+  }
+
+  const failures = [];
+  for (const [index, source] of sources.entries()) {
+    onStatus?.(index === 0 ? 'Loading AI Model...' : 'Downloading AI Model...');
+    try {
+      const model = await loadFrom(detector, source);
+      return { id, estimate: (input) => detector.estimate(model, input) };
+    } catch (error) {
+      console.warn(`Face model unavailable at ${describeSource(source)}:`, error.message);
+      failures.push(`${describeSource(source)}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`Face model could not be loaded (${failures.join('; ')})`);
+}
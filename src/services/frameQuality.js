@@ -0,0 +1,188 @@
+// Width of the downscaled copy used for analysis (keeps scoring well under a frame).
+// Sharpness depends on scale, so anything scored against the thresholds uses it.
+export const ANALYSIS_WIDTH = 320;
+
+// Luminance below/above these values counts as crushed shadows / blown highlights
+const DARK_LEVEL = 16;
+const BRIGHT_LEVEL = 240;
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  minSharpness: 25,         // Laplacian variance of the face region
+  minBrightness: 60,        // Mean luminance (0-255)
+  maxBrightness: 200,
+  maxClipped: 0.25,         // Max share of pixels crushed or blown out
+  minFaceRatio: 0.05,       // Face box area / frame area
+  maxFaceRatio: 0.4,
+  minConfidence: 0.85,      // BlazeFace probability
+  edgeMargin: 0.02          // Face box must stay this far (fraction of frame) from edges
+};
+
+// Convert RGBA pixels to a luminance array
+function toGrayscale(data) {
+  const gray = new Float32Array(data.length / 4);
+  for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+    gray[j] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return gray;
+}
+
+// Variance of the 4-neighbour Laplacian inside a region: low values mean blur
+function laplacianVariance(gray, width, region) {
+  const { x1, y1, x2, y2 } = region;
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+
+  for (let y = Math.max(y1, 1); y < Math.min(y2, gray.length / width - 1); y++) {
+    for (let x = Math.max(x1, 1); x < Math.min(x2, width - 1); x++) {
+      const i = y * width + x;
+      const lap = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += lap;
+      sumSq += lap * lap;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+// Mean luminance plus a 16-bin histogram and clipped-pixel shares
+function exposureStats(gray) {
+  const histogram = new Array(16).fill(0);
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+
+  for (let i = 0; i < gray.length; i++) {
+    const value = gray[i];
+    sum += value;
+    histogram[Math.min(15, Math.floor(value / 16))]++;
+    if (value < DARK_LEVEL) dark++;
+    if (value > BRIGHT_LEVEL) bright++;
+  }
+
+  const total = gray.length || 1;
+  return {
+    brightness: sum / total,
+    darkClipped: dark / total,
+    brightClipped: bright / total,
+    histogram: histogram.map(bin => Math.round((bin / total) * 1000) / 1000)
+  };
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export const frameQuality = {
+  thresholds: { ...DEFAULT_QUALITY_THRESHOLDS },
+
+  // Override one or more thresholds
+  configure(overrides = {}) {
+    this.thresholds = { ...this.thresholds, ...overrides };
+    return this.thresholds;
+  },
+
+  // Score the current video frame. `faceData` is the result of useFaceDetection,
+  // `overrides` relaxes or tightens thresholds for a single capture stage.
+  // Without `requireFace` (manual capture, no face model) only exposure and
+  // sharpness are checked. Returns { accepted, issues, feedback, scores }.
+  analyze(videoElement, faceData, overrides = {}, { requireFace = true } = {}) {
+    const thresholds = { ...this.thresholds, ...overrides };
+
+    if (!videoElement || videoElement.readyState !== 4) {
+      return { accepted: false, issues: ['not_ready'], feedback: 'Camera not ready', scores: null };
+    }
+
+    const videoWidth = videoElement.videoWidth;
+    const videoHeight = videoElement.videoHeight;
+    const scale = ANALYSIS_WIDTH / videoWidth;
+    const width = ANALYSIS_WIDTH;
+    const height = Math.round(videoHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(videoElement, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+
+    // Analyse sharpness on the face when we have one, otherwise on the whole frame
+    const position = faceData?.detected ? faceData.position : null;
+    const region = position
+      ? {
+        x1: Math.floor(position.topLeft[0] * scale),
+        y1: Math.floor(position.topLeft[1] * scale),
+        x2: Math.ceil(position.bottomRight[0] * scale),
+        y2: Math.ceil(position.bottomRight[1] * scale)
+      }
+      : null;
+
+    const geometry = this.faceGeometry(position, videoWidth, videoHeight, thresholds.edgeMargin);
+    const scores = {
+      ...this.measure(imageData, region),
+      faceRatio: round(geometry.faceRatio, 3),
+      confidence: round(faceData?.confidence || 0, 3)
+    };
+
+    return { ...this.evaluate(scores, { faceDetected: !!position, touchesEdge: geometry.touchesEdge, requireFace }, thresholds), scores };
+  },
+
+  // Sharpness and exposure of raw RGBA pixels (no DOM needed, so workers can
+  // use it too). `region` limits the sharpness measurement, e.g. to the face box.
+  measure(imageData, region = null) {
+    const { data, width, height } = imageData;
+    const gray = toGrayscale(data);
+    const exposure = exposureStats(gray);
+
+    return {
+      sharpness: round(laplacianVariance(gray, width, region || { x1: 0, y1: 0, x2: width, y2: height }), 1),
+      brightness: round(exposure.brightness, 1),
+      darkClipped: round(exposure.darkClipped, 3),
+      brightClipped: round(exposure.brightClipped, 3),
+      histogram: exposure.histogram
+    };
+  },
+
+  // Face size relative to the frame and whether the box crowds an edge
+  faceGeometry(position, frameWidth, frameHeight, margin = this.thresholds.edgeMargin) {
+    if (!position) return { faceRatio: 0, touchesEdge: false };
+
+    return {
+      faceRatio: (position.width * position.height) / (frameWidth * frameHeight),
+      touchesEdge: position.topLeft[0] < frameWidth * margin ||
+        position.topLeft[1] < frameHeight * margin ||
+        position.bottomRight[0] > frameWidth * (1 - margin) ||
+        position.bottomRight[1] > frameHeight * (1 - margin)
+    };
+  },
+
+  // Compare scores to thresholds. Issues are ordered by how to fix them first.
+  evaluate(scores, { faceDetected, touchesEdge, requireFace = true }, thresholds = this.thresholds) {
+    const t = thresholds;
+    const issues = [];
+
+    if (!faceDetected) {
+      if (requireFace) issues.push({ code: 'no_face', feedback: 'Face not visible' });
+    } else {
+      if (touchesEdge) issues.push({ code: 'out_of_frame', feedback: 'Face partially out of frame' });
+      if (scores.faceRatio < t.minFaceRatio) issues.push({ code: 'too_far', feedback: 'Move closer' });
+      if (scores.faceRatio > t.maxFaceRatio) issues.push({ code: 'too_close', feedback: 'Move back' });
+      if (scores.confidence < t.minConfidence) issues.push({ code: 'occluded', feedback: 'Face partially hidden' });
+    }
+
+    if (scores.brightness < t.minBrightness || scores.darkClipped > t.maxClipped) {
+      issues.push({ code: 'too_dark', feedback: 'Too dark' });
+    } else if (scores.brightness > t.maxBrightness || scores.brightClipped > t.maxClipped) {
+      issues.push({ code: 'too_bright', feedback: 'Too bright' });
+    }
+
+    if (scores.sharpness < t.minSharpness) issues.push({ code: 'blurry', feedback: 'Hold still' });
+
+    return {
+      accepted: issues.length === 0,
+      issues: issues.map(issue => issue.code),
+      feedback: issues[0]?.feedback || null
+    };
+  }
+};
@@ -0,0 +1,277 @@
+const LIMITS_STORAGE = 'avatarOS_request_limits';
+
+export const DEFAULT_REQUEST_LIMITS = {
+  maxRetries: 3,          // Extra attempts for transient failures
+  maxConcurrent: 2,       // Requests in flight at once
+  requestsPerMinute: 15   // Free-tier default; raise on paid keys
+};
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const RATE_WINDOW_MS = 60000;
+
+// What the user sees for each error class, and whether it's worth retrying
+export const ERROR_KINDS = {
+  auth: {
+    title: 'API key rejected',
+    action: 'Check that the key is correct and has access to the Gemini API, then enter it again.',
+    retryable: false
+  },
+  quota: {
+    title: 'Rate limit or quota reached',
+    action: 'Wait a moment and try again, or lower the request rate in settings. Daily quotas reset at midnight Pacific time.',
+    retryable: true
+  },
+  safety: {
+    title: 'Blocked by safety filters',
+    action: 'Rephrase the prompt to avoid content the model declines to produce.',
+    retryable: false
+  },
+  network: {
+    title: 'Network problem',
+    action: 'Check your internet connection and try again.',
+    retryable: true
+  },
+  server: {
+    title: 'Generation service error',
+    action: 'The service is having trouble. Try again in a few minutes.',
+    retryable: true
+  },
+  request: {
+    title: 'Request not accepted',
+    action: 'The model or settings may not support this request. Check the model name in settings.',
+    retryable: false
+  },
+  unknown: {
+    title: 'Something went wrong',
+    action: 'Try again. If it keeps happening, check the browser console for details.',
+    retryable: false
+  }
+};
+
+// An error from a Gemini/Veo request, tagged with its class. `retryAfterMs`
+// is the server's requested delay, when it gave one.
+export class GeminiRequestError extends Error {
+  constructor(message, { kind = 'unknown', status = null, retryAfterMs = null, cause = null } = {}) {
+    super(message);
+    this.name = 'GeminiRequestError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.cause = cause;
+  }
+
+  get retryable() {
+    return ERROR_KINDS[this.kind]?.retryable ?? false;
+  }
+}
+
+// Retry-After header value (seconds or HTTP date) to milliseconds
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// google.rpc.RetryInfo delay ("30s", "1.5s") from API error details
+function retryDelayFromDetails(details) {
+  const retryInfo = details?.find(detail => detail['@type']?.endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function kindForStatus(status, details, message) {
+  const reasons = details?.map(detail => detail.reason).filter(Boolean) || [];
+  if (status === 401 || status === 403 || reasons.includes('API_KEY_INVALID') || /api key not valid/i.test(message)) {
+    return 'auth';
+  }
+  if (status === 429) return 'quota';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'request';
+  return 'unknown';
+}
+
+// Strip the SDK's "[GoogleGenerativeAI Error]: Error fetching from <url>:" prefix
+function cleanMessage(message) {
+  return message
+    .replace(/^\[GoogleGenerativeAI Error\]:\s*/, '')
+    .replace(/^Error fetching from \S+:\s*/, '');
+}
+
+// Tag any error thrown by the SDK, fetch or our services with its class.
+// Already-classified errors are returned as they are.
+export function classifyError(error) {
+  if (error instanceof GeminiRequestError) return error;
+
+  const message = cleanMessage(error?.message || String(error));
+  const status = error?.status ?? null;
+
+  let kind;
+  if (status) {
+    kind = kindForStatus(status, error.errorDetails, message);
+  } else if (/blocked|SAFETY|PROHIBITED_CONTENT|RECITATION/.test(message)) {
+    kind = 'safety';
+  } else if (/not initialized|API key/i.test(message)) {
+    kind = 'auth';
+  } else if (error?.name === 'TypeError' || /failed to fetch|fetch failed|network|Failed to parse stream/i.test(message)
+    || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+    kind = 'network';
+  } else {
+    kind = 'unknown';
+  }
+
+  return new GeminiRequestError(message, {
+    kind,
+    status,
+    retryAfterMs: error?.retryAfterMs ?? retryDelayFromDetails(error?.errorDetails),
+    cause: error
+  });
+}
+
+// Title, detail and suggested action for showing an error to the user
+export function describeError(error) {
+  const classified = classifyError(error);
+  const info = ERROR_KINDS[classified.kind] || ERROR_KINDS.unknown;
+  const wait = classified.retryAfterMs ? ` Retry in about ${Math.ceil(classified.retryAfterMs / 1000)}s.` : '';
+  return {
+    kind: classified.kind,
+    title: info.title,
+    message: classified.message,
+    action: info.action + (classified.kind === 'quota' ? wait : '')
+  };
+}
+
+function abortError() {
+  return new DOMException('Generation cancelled', 'AbortError');
+}
+
+// Resolve after `ms`, or reject with an AbortError when `signal` fires
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Exponential backoff with full jitter, never shorter than the server asked for
+function backoffDelay(attempt, retryAfterMs) {
+  const exponential = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  const jittered = Math.random() * exponential;
+  return Math.max(jittered, retryAfterMs || 0);
+}
+
+export const geminiRequest = {
+  limits: { ...DEFAULT_REQUEST_LIMITS },
+  active: 0,
+  startTimes: [], // Starts within the last minute, for the per-minute limit
+  waiting: [],    // Queued { resolve, reject, signal, onAbort }
+  timer: null,
+
+  // Load the rate limit settings from localStorage
+  loadLimits() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LIMITS_STORAGE));
+      this.limits = { ...DEFAULT_REQUEST_LIMITS, ...saved };
+    } catch (error) {
+      this.limits = { ...DEFAULT_REQUEST_LIMITS };
+    }
+    return this.limits;
+  },
+
+  // Change retry and rate limit settings
+  configure(limits) {
+    this.limits = { ...this.limits, ...limits };
+    try {
+      localStorage.setItem(LIMITS_STORAGE, JSON.stringify(this.limits));
+    } catch (error) {
+      console.error('Failed to save request limits:', error);
+    }
+    this.pump();
+    return this.limits;
+  },
+
+  // Start queued requests while both limits allow it
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    this.startTimes = this.startTimes.filter(time => now - time < RATE_WINDOW_MS);
+
+    while (this.waiting.length > 0
+      && this.active < Math.max(1, this.limits.maxConcurrent)
+      && this.startTimes.length < Math.max(1, this.limits.requestsPerMinute)) {
+      const next = this.waiting.shift();
+      next.signal?.removeEventListener('abort', next.onAbort);
+      this.active++;
+      this.startTimes.push(now);
+      next.resolve();
+    }
+
+    // Blocked by the per-minute limit: look again when the oldest start expires
+    if (this.waiting.length > 0 && this.active < Math.max(1, this.limits.maxConcurrent)) {
+      this.timer = setTimeout(() => this.pump(), this.startTimes[0] + RATE_WINDOW_MS - now);
+    }
+  },
+
+  // Wait for a request slot
+  acquire(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(abortError());
+      const entry = { resolve, reject, signal };
+      entry.onAbort = () => {
+        this.waiting = this.waiting.filter(item => item !== entry);
+        reject(abortError());
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+      this.waiting.push(entry);
+      this.pump();
+    });
+  },
+
+  release() {
+    this.active = Math.max(0, this.active - 1);
+    this.pump();
+  },
+
+  // Run `request` under the rate limit, retrying transient failures with
+  // backoff. Errors come out classified (GeminiRequestError); aborting
+  // `signal` rejects with an AbortError. `onRetry({ attempt, delayMs, error })`
+  // is called before each retry. `retryKinds` narrows which error kinds are
+  // retried, e.g. ['quota'] for requests that start paid jobs. Requests to
+  // other servers pass `rateLimited: false` so they neither wait for nor use
+  // up the Gemini quota.
+  async run(request, { signal, onRetry, maxRetries = this.limits.maxRetries, retryKinds = null, rateLimited = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (rateLimited) await this.acquire(signal);
+      let classified;
+      try {
+        return await request();
+      } catch (error) {
+        if (signal?.aborted) throw abortError();
+
+        classified = classifyError(error);
+        const retryable = classified.retryable && (!retryKinds || retryKinds.includes(classified.kind));
+        if (!retryable || attempt >= maxRetries) throw classified;
+      } finally {
+        if (rateLimited) this.release();
+      }
+
+      const delayMs = backoffDelay(attempt, classified.retryAfterMs);
+      onRetry?.({ attempt: attempt + 1, delayMs, error: classified });
+      await sleep(delayMs, signal);
+    }
+  }
+};
+
+geminiRequest.loadLimits();
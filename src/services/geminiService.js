@@ -1,19 +1,33 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
-
-const API_KEY_STORAGE = 'avatarOS_gemini_api_key';
+import { dataUrlToBlob } from './database';
+import { resolvePersonaDescription } from './personaDescription';
+import { geminiRequest, GeminiRequestError } from './geminiRequest';
+import { generationSettings, MODELS_ENDPOINT } from './generationSettings';
+import { apiKeyVault } from './apiKeyVault';
+
+const IMAGE_CONFIG_STORAGE = 'avatarOS_image_generation';
+
+// Image-capable model and endpoint. `baseUrl` null = Google's API; point it at
+// a local stub server (same REST shape) for testing.
+export const DEFAULT_IMAGE_CONFIG = {
+  model: 'gemini-2.0-flash-preview-image-generation',
+  baseUrl: null
+};
 
 export const geminiService = {
   apiKey: null,
   genAI: null,
+  imageConfig: { ...DEFAULT_IMAGE_CONFIG },
 
-  // Initialize with API key
+  // Initialize the SDK with a key. The key is held in memory only; connect()
+  // and unlockApiKey() take care of storing and restoring it.
   init(apiKey) {
-    if (!apiKey || !apiKey.startsWith('AIza')) {
-      throw new Error('Invalid API key. Must start with "AIza"');
+    const key = apiKey?.trim();
+    if (!key) {
+      throw new Error('Enter an API key');
     }
-    this.apiKey = apiKey;
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    this.saveApiKey(apiKey);
+    this.apiKey = key;
+    this.genAI = new GoogleGenerativeAI(key);
     return true;
   },
 
@@ -22,34 +36,91 @@ export const geminiService = {
     return !!this.genAI;
   },
 
-  // Save API key to localStorage
-  saveApiKey(apiKey) {
-    try {
-      localStorage.setItem(API_KEY_STORAGE, apiKey);
-    } catch (error) {
-      console.error('Failed to save API key:', error);
+  // Check a key with a lightweight authenticated call (fetching one model
+  // entry), so typos and revoked keys fail here rather than mid-generation
+  async validateApiKey(apiKey, { signal } = {}) {
+    await geminiRequest.run(async () => {
+      const response = await fetch(`${MODELS_ENDPOINT}?pageSize=1`, {
+        signal,
+        headers: { 'x-goog-api-key': apiKey.trim() }
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw Object.assign(
+          new Error(body?.error?.message || `API key check failed (${response.status})`),
+          { status: response.status, errorDetails: body?.error?.details }
+        );
+      }
+    }, { signal, maxRetries: 1 });
+    return true;
+  },
+
+  // Validate a key, start using it and store it. `storage` is 'session'
+  // (until the tab closes) or 'encrypted' (localStorage, needs `passphrase`).
+  async connect(apiKey, { storage = 'session', passphrase, signal } = {}) {
+    await this.validateApiKey(apiKey, { signal });
+
+    apiKeyVault.clear();
+    if (storage === 'encrypted') {
+      await apiKeyVault.saveEncrypted(apiKey.trim(), passphrase);
+    } else {
+      apiKeyVault.saveSession(apiKey.trim());
     }
+    return this.init(apiKey);
   },
 
-  // Load API key from localStorage
-  loadApiKey() {
+  // Pick up a key saved for this session. Returns whether one was found.
+  restoreSession() {
+    const key = apiKeyVault.loadSession();
+    if (!key) return false;
     try {
-      const key = localStorage.getItem(API_KEY_STORAGE);
-      if (key) {
-        this.init(key);
-        return true;
-      }
+      return this.init(key);
     } catch (error) {
-      console.error('Failed to load API key:', error);
+      console.error('Failed to restore API key:', error);
+      return false;
     }
-    return false;
   },
 
-  // Clear API key
-  clearApiKey() {
+  // Decrypt the stored key with the user's passphrase and start using it
+  async unlockApiKey(passphrase) {
+    return this.init(await apiKeyVault.unlock(passphrase));
+  },
+
+  hasEncryptedApiKey() {
+    return apiKeyVault.hasEncryptedKey();
+  },
+
+  // Drop the key everywhere: storage, the SDK client, and anything fetched with it
+  forgetApiKey() {
     this.apiKey = null;
     this.genAI = null;
-    localStorage.removeItem(API_KEY_STORAGE);
+    generationSettings.availableModels = null;
+    apiKeyVault.clear();
+  },
+
+  // Load the image model/endpoint settings from localStorage
+  loadImageConfig() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(IMAGE_CONFIG_STORAGE));
+      this.imageConfig = { ...DEFAULT_IMAGE_CONFIG, ...saved };
+    } catch (error) {
+      this.imageConfig = { ...DEFAULT_IMAGE_CONFIG };
+    }
+    return this.imageConfig;
+  },
+
+  // Change the image model and/or endpoint
+  configureImageGeneration(config) {
+    this.imageConfig = { ...this.imageConfig, ...config };
+    if ('baseUrl' in config) {
+      this.imageConfig.baseUrl = config.baseUrl?.trim().replace(/\/+$/, '') || null;
+    }
+    try {
+      localStorage.setItem(IMAGE_CONFIG_STORAGE, JSON.stringify(this.imageConfig));
+    } catch (error) {
+      console.error('Failed to save image generation settings:', error);
+    }
+    return this.imageConfig;
   },
 
   // Convert base64 image to Gemini format
@@ -68,12 +139,12 @@ export const geminiService = {
   },
 
   // Generate personalized image description/prompt
-  async analyzePersona(persona) {
+  async analyzePersona(persona, { signal } = {}) {
     if (!this.isInitialized()) {
       throw new Error('Gemini not initialized. Please set API key.');
     }
 
-    const model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    const model = this.genAI.getGenerativeModel(generationSettings.modelParams('analysis'));
 
     const images = [];
 
@@ -103,24 +174,51 @@ export const geminiService = {
 
 Provide a concise but detailed description that captures their unique appearance.`;
 
-    const result = await model.generateContent([prompt, ...images]);
+    const result = await geminiRequest.run(() => model.generateContent([prompt, ...images], { signal }), { signal });
     const response = await result.response;
     return response.text();
   },
 
-  // Generate image with persona context
-  async generateWithPersona(persona, userPrompt, personaDescription = null) {
+  // Stream a text response. `onText` receives the accumulated text after each
+  // chunk (starting over if the request is retried); aborting `signal` stops
+  // the request. Resolves with the full text.
+  streamText(model, request, { signal, onText } = {}) {
+    return geminiRequest.run(async () => {
+      const result = await model.generateContentStream(request, { signal });
+      // The aggregated response is unused; don't let it surface as unhandled on abort
+      result.response.catch(() => {});
+
+      let text = '';
+      for await (const chunk of result.stream) {
+        text += chunk.text();
+        onText?.(text);
+      }
+      return text;
+    }, { signal });
+  },
+
+  // Appearance description for a persona, cached on the persona record. The
+  // stored version is reused until the persona's images change (or `refresh`
+  // is set); then the images are analyzed again and a new version is saved.
+  getPersonaDescription(persona, { refresh = false, signal } = {}) {
+    return resolvePersonaDescription(persona, () => this.analyzePersona(persona, { signal }), { refresh });
+  },
+
+  // Generate an image prompt with persona context. Streams: `onText` receives
+  // the prompt as it's written, `signal` cancels.
+  async generateWithPersona(persona, userPrompt, personaDescription = null, { signal, onText } = {}) {
     if (!this.isInitialized()) {
       throw new Error('Gemini not initialized. Please set API key.');
     }
 
-    // Get persona description if not provided
+    // Use the cached persona description if none was provided
     let description = personaDescription;
     if (!description) {
-      description = await this.analyzePersona(persona);
+      description = await this.getPersonaDescription(persona, { signal });
     }
 
-    const model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    const params = generationSettings.modelParams('imagePrompt');
+    const model = this.genAI.getGenerativeModel(params);
 
     const images = [];
 
@@ -153,24 +251,106 @@ Based on the reference photos provided and the person description above, create
 
 Generate the optimized prompt:`;
 
-    const result = await model.generateContent([fullPrompt, ...images]);
-    const response = await result.response;
+    const generatedPrompt = await this.streamText(model, [fullPrompt, ...images], { signal, onText });
     return {
-      generatedPrompt: response.text(),
-      personaDescription: description
+      generatedPrompt,
+      personaDescription: description,
+      model: params.model
     };
   },
 
-  // Simple text generation (for testing)
-  async generateText(prompt) {
+  // Generate images of the persona with an image-capable model. The persona's
+  // photos are sent as references. Resolves with { images: [{ blob, mimeType }],
+  // text, personaDescription, model }. Streams: `onText` receives the model's
+  // text as it's written, `signal` cancels.
+  async generateImages(persona, userPrompt, personaDescription = null, { signal, onText } = {}) {
     if (!this.isInitialized()) {
       throw new Error('Gemini not initialized. Please set API key.');
     }
 
-    const model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    return response.text();
+    let description = personaDescription;
+    if (!description) {
+      description = await this.getPersonaDescription(persona, { signal });
+    }
+
+    const { model: modelName, baseUrl } = this.imageConfig;
+    const model = this.genAI.getGenerativeModel(
+      {
+        model: modelName,
+        generationConfig: { responseModalities: ['TEXT', 'IMAGE'] },
+        safetySettings: generationSettings.getSafetySettings()
+      },
+      baseUrl ? { baseUrl } : undefined
+    );
+
+    const images = [];
+    if (persona.texturePhoto) {
+      images.push(this.base64ToGenerativePart(persona.texturePhoto));
+    }
+    if (persona.volumetricFrames?.length > 0) {
+      persona.volumetricFrames.slice(0, 2).forEach(frame => {
+        images.push(this.base64ToGenerativePart(frame));
+      });
+    }
+    if (images.length === 0) {
+      throw new Error('No images found in persona');
+    }
+
+    const fullPrompt = `Generate an image of the person shown in the reference photos.
+
+PERSON DESCRIPTION:
+${description}
+
+USER REQUEST:
+${userPrompt}
+
+Keep their face and identity exactly as in the reference photos.`;
+
+    // Text parts are passed on as they arrive; images come as whole inline parts
+    const { generated, text, response } = await geminiRequest.run(async () => {
+      const result = await model.generateContentStream([fullPrompt, ...images], { signal });
+      result.response.catch(() => {});
+
+      const generated = [];
+      let text = '';
+      for await (const chunk of result.stream) {
+        for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+          if (part.inlineData?.data) {
+            const mimeType = part.inlineData.mimeType || 'image/png';
+            generated.push({ mimeType, blob: dataUrlToBlob(`data:${mimeType};base64,${part.inlineData.data}`) });
+          } else if (part.text) {
+            text += part.text;
+            onText?.(text);
+          }
+        }
+      }
+      return { generated, text, response: await result.response };
+    }, { signal });
+
+    if (generated.length === 0) {
+      const reason = response.promptFeedback?.blockReason || response.candidates?.[0]?.finishReason;
+      if (['SAFETY', 'PROHIBITED_CONTENT', 'IMAGE_SAFETY', 'BLOCKLIST', 'OTHER'].includes(reason)) {
+        throw new GeminiRequestError(`${modelName} declined to generate the image (${reason}).`, { kind: 'safety' });
+      }
+      throw new GeminiRequestError(`${modelName} returned no image${reason ? ` (${reason})` : ''}. Check that the model supports image output.`, { kind: 'request' });
+    }
+
+    return {
+      images: generated,
+      text: text.trim() || null,
+      personaDescription: description,
+      model: modelName
+    };
+  },
+
+  // Simple text generation (for testing), streamed like the other text paths
+  async generateText(prompt, { signal, onText } = {}) {
+    if (!this.isInitialized()) {
+      throw new Error('Gemini not initialized. Please set API key.');
+    }
+
+    const model = this.genAI.getGenerativeModel(generationSettings.modelParams('general'));
+    return this.streamText(model, prompt, { signal, onText });
   },
 
   // Generate content with images
@@ -179,14 +359,15 @@ Generate the optimized prompt:`;
       throw new Error('Gemini not initialized. Please set API key.');
     }
 
-    const model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    const model = this.genAI.getGenerativeModel(generationSettings.modelParams('general'));
 
     const imageParts = base64Images.map(img => this.base64ToGenerativePart(img));
-    const result = await model.generateContent([prompt, ...imageParts]);
+    const result = await geminiRequest.run(() => model.generateContent([prompt, ...imageParts]));
     const response = await result.response;
     return response.text();
   }
 };
 
-// Auto-load API key on module load
-geminiService.loadApiKey();
+// Load image settings on module load. The API key is restored explicitly
+// (restoreSession / unlockApiKey) by the studio.
+geminiService.loadImageConfig();
@@ -0,0 +1,98 @@
+import { database, STORES, promisifyRequest, createId } from './database';
+
+// Gemini Studio results, stored per persona so iterations can be compared.
+// Entry shape:
+//   { id, personaId, mode ('image' | 'video'), prompt, generatedPrompt, model,
+//     createdAt, status ('success' | 'error'), error, outputs: [{ mimeType, blob }],
+//     favourite, parentId (entry this one was re-run or forked from) }
+
+// Case-insensitive match on the text fields of an entry
+function matchesQuery(entry, query) {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return [entry.prompt, entry.generatedPrompt, entry.model, entry.error]
+    .some(text => text?.toLowerCase().includes(needle));
+}
+
+export const generationHistory = {
+  // Store a new generation (successful or failed) for a persona
+  async record(personaId, { mode, prompt, generatedPrompt = null, model = null, outputs = [], error = null, parentId = null }) {
+    const entry = {
+      id: createId('generation'),
+      personaId,
+      mode,
+      prompt,
+      generatedPrompt,
+      model,
+      createdAt: new Date().toISOString(),
+      status: error ? 'error' : 'success',
+      error,
+      outputs: outputs.map(output => ({ mimeType: output.mimeType || output.blob.type, blob: output.blob })),
+      favourite: false,
+      parentId
+    };
+
+    try {
+      await database.put(STORES.generations, entry);
+      return entry;
+    } catch (err) {
+      console.error('Failed to save generation:', err);
+      return null;
+    }
+  },
+
+  // List a persona's generations, newest first. `query` searches prompts,
+  // model and errors; `favouritesOnly` and `mode` narrow the list.
+  async list(personaId, { query = '', favouritesOnly = false, mode = null } = {}) {
+    try {
+      const entries = await database.transaction(STORES.generations, 'readonly', stores =>
+        promisifyRequest(stores.generations.index('personaId').getAll(personaId))
+      );
+
+      return entries
+        .filter(entry => !favouritesOnly || entry.favourite)
+        .filter(entry => !mode || entry.mode === mode)
+        .filter(entry => matchesQuery(entry, query.trim()))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+      console.error('Failed to load generation history:', error);
+      return [];
+    }
+  },
+
+  // Merge changes into an entry; `outputs` are appended rather than replaced
+  async update(id, { outputs = [], ...changes }) {
+    return database.transaction(STORES.generations, 'readwrite', async stores => {
+      const existing = await promisifyRequest(stores.generations.get(id));
+      if (!existing) return null;
+
+      const updated = {
+        ...existing,
+        ...changes,
+        outputs: [
+          ...existing.outputs,
+          ...outputs.map(output => ({ mimeType: output.mimeType || output.blob.type, blob: output.blob }))
+        ]
+      };
+      stores.generations.put(updated);
+      return updated;
+    });
+  },
+
+  // Flip the favourite flag
+  async toggleFavourite(id) {
+    const entry = await database.get(STORES.generations, id);
+    if (!entry) return null;
+    return this.update(id, { favourite: !entry.favourite });
+  },
+
+  async delete(id) {
+    try {
+      await database.delete(STORES.generations, id);
+      return true;
+    } catch (error) {
+      console.error('Failed to delete generation:', error);
+      return false;
+    }
+  }
+};
@@ -0,0 +1,69 @@
+import { geminiProvider } from './providers/geminiProvider';
+import { mockProvider } from './providers/mockProvider';
+import { httpProvider } from './providers/httpProvider';
+import { personaStorage } from './personaStorage';
+import { resolvePersonaDescription } from './personaDescription';
+
+const PROVIDER_STORAGE = 'avatarOS_generation_provider';
+
+// Backends the studio can generate with. Each implements:
+//   id, label, description, needsApiKey, capabilities { analysis, streaming, video }
+//   isReady()
+//   analyzePersona(persona, { signal })                          -> description text
+//   generateImages(persona, prompt, { description, signal, onText }) -> { images: [{ blob, mimeType }], text, model }
+//   generateVideoPrompt(persona, prompt, { description, signal, onText }) -> { videoPrompt, model }
+//   generateVideo(videoPrompt, { persona, signal, onProgress })  -> { blob, mimeType, model }
+// Providers with `fixtures` set return placeholder output that is never cached.
+export const PROVIDERS = [geminiProvider, mockProvider, httpProvider];
+
+const DEFAULT_PROVIDER_ID = geminiProvider.id;
+
+export const generationProviders = {
+  activeId: DEFAULT_PROVIDER_ID,
+
+  // Load the chosen provider from localStorage
+  load() {
+    const saved = localStorage.getItem(PROVIDER_STORAGE);
+    this.activeId = PROVIDERS.some(provider => provider.id === saved) ? saved : DEFAULT_PROVIDER_ID;
+    return this.active;
+  },
+
+  // Switch provider and remember the choice
+  select(id) {
+    if (!PROVIDERS.some(provider => provider.id === id)) {
+      throw new Error(`Unknown provider: ${id}`);
+    }
+    this.activeId = id;
+    try {
+      localStorage.setItem(PROVIDER_STORAGE, id);
+    } catch (error) {
+      console.error('Failed to save provider:', error);
+    }
+    return this.active;
+  },
+
+  get active() {
+    return PROVIDERS.find(provider => provider.id === this.activeId);
+  },
+
+  // The persona's appearance description through the active provider. Uses
+  // the cached version when current; providers that can't analyze photos get
+  // whatever was saved before (possibly stale, or hand-written), else ''.
+  async getPersonaDescription(persona, { refresh = false, signal } = {}) {
+    const provider = this.active;
+
+    if (provider.fixtures) {
+      return provider.analyzePersona(persona, { signal });
+    }
+
+    if (!provider.capabilities.analysis) {
+      const cached = persona?.id ? await personaStorage.getDescription(persona.id) : null;
+      return cached?.text || '';
+    }
+
+    return resolvePersonaDescription(persona, () => provider.analyzePersona(persona, { signal }), { refresh });
+  }
+};
+
+// Restore the chosen provider on module load
+generationProviders.load();
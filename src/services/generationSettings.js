@@ -0,0 +1,188 @@
+import { geminiRequest } from './geminiRequest';
+
+const SETTINGS_STORAGE = 'avatarOS_generation_settings';
+export const MODELS_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Text tasks that each get their own model
+export const TASKS = [
+  { id: 'analysis', label: 'Persona analysis' },
+  { id: 'imagePrompt', label: 'Image prompt' },
+  { id: 'videoPrompt', label: 'Video prompt' },
+  { id: 'general', label: 'General text' }
+];
+
+// Offered until the API's own list has been fetched
+export const KNOWN_MODELS = [
+  { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash' },
+  { id: 'gemini-2.5-flash-lite', label: 'Gemini 2.5 Flash-Lite' },
+  { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro' },
+  { id: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash' }
+];
+
+export const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+export const HARM_CATEGORIES = [
+  { id: 'HARM_CATEGORY_HARASSMENT', label: 'Harassment' },
+  { id: 'HARM_CATEGORY_HATE_SPEECH', label: 'Hate speech' },
+  { id: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', label: 'Sexually explicit' },
+  { id: 'HARM_CATEGORY_DANGEROUS_CONTENT', label: 'Dangerous content' }
+];
+
+// 'default' leaves the category out of the request so the API default applies
+export const SAFETY_THRESHOLDS = [
+  { id: 'default', label: 'API default' },
+  { id: 'BLOCK_LOW_AND_ABOVE', label: 'Block most' },
+  { id: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Block some' },
+  { id: 'BLOCK_ONLY_HIGH', label: 'Block few' },
+  { id: 'BLOCK_NONE', label: 'Block none' }
+];
+
+// Limits enforced by the UI controls
+export const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2, step: 0.1 },
+  topP: { min: 0, max: 1, step: 0.05 },
+  maxOutputTokens: { min: 1, max: 65536 }
+};
+
+export const DEFAULT_GENERATION_SETTINGS = {
+  models: Object.fromEntries(TASKS.map(task => [task.id, DEFAULT_MODEL])),
+  // null = use the model's default
+  generation: { temperature: null, topP: null, maxOutputTokens: null },
+  safety: Object.fromEntries(HARM_CATEGORIES.map(category => [category.id, 'default']))
+};
+
+function clamp(value, { min, max }) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Fill gaps from the defaults and drop out-of-range values
+function normalize(settings) {
+  const models = { ...DEFAULT_GENERATION_SETTINGS.models };
+  TASKS.forEach(task => {
+    const model = settings?.models?.[task.id]?.trim?.();
+    if (model) models[task.id] = model.replace(/^models\//, '');
+  });
+
+  const generation = { ...DEFAULT_GENERATION_SETTINGS.generation };
+  Object.keys(generation).forEach(key => {
+    const value = settings?.generation?.[key];
+    if (value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value))) {
+      generation[key] = clamp(Number(value), GENERATION_LIMITS[key]);
+    }
+  });
+  if (generation.maxOutputTokens !== null) {
+    generation.maxOutputTokens = Math.round(generation.maxOutputTokens);
+  }
+
+  const safety = { ...DEFAULT_GENERATION_SETTINGS.safety };
+  HARM_CATEGORIES.forEach(category => {
+    const threshold = settings?.safety?.[category.id];
+    if (SAFETY_THRESHOLDS.some(option => option.id === threshold)) {
+      safety[category.id] = threshold;
+    }
+  });
+
+  return { models, generation, safety };
+}
+
+export const generationSettings = {
+  settings: normalize(null),
+  availableModels: null, // Fetched from the API by listModels()
+
+  // Load the saved settings from localStorage
+  load() {
+    try {
+      this.settings = normalize(JSON.parse(localStorage.getItem(SETTINGS_STORAGE)));
+    } catch (error) {
+      this.settings = normalize(null);
+    }
+    return this.settings;
+  },
+
+  // Merge and save changes. Nested sections are merged, not replaced.
+  save(changes) {
+    this.settings = normalize({
+      models: { ...this.settings.models, ...changes.models },
+      generation: { ...this.settings.generation, ...changes.generation },
+      safety: { ...this.settings.safety, ...changes.safety }
+    });
+    try {
+      localStorage.setItem(SETTINGS_STORAGE, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Failed to save generation settings:', error);
+    }
+    return this.settings;
+  },
+
+  reset() {
+    localStorage.removeItem(SETTINGS_STORAGE);
+    return this.load();
+  },
+
+  getModel(task) {
+    return this.settings.models[task] || DEFAULT_MODEL;
+  },
+
+  // generationConfig for the SDK, without unset values
+  getGenerationConfig() {
+    return Object.fromEntries(
+      Object.entries(this.settings.generation).filter(([, value]) => value !== null)
+    );
+  },
+
+  // safetySettings for the SDK, without categories left at the API default
+  getSafetySettings() {
+    return Object.entries(this.settings.safety)
+      .filter(([, threshold]) => threshold !== 'default')
+      .map(([category, threshold]) => ({ category, threshold }));
+  },
+
+  // Everything getGenerativeModel needs for a task
+  modelParams(task) {
+    return {
+      model: this.getModel(task),
+      generationConfig: this.getGenerationConfig(),
+      safetySettings: this.getSafetySettings()
+    };
+  },
+
+  // Text models the API key can use (those supporting generateContent).
+  // Falls back to KNOWN_MODELS when the list can't be fetched.
+  async listModels(apiKey, { signal } = {}) {
+    if (!apiKey) return KNOWN_MODELS;
+
+    try {
+      const models = [];
+      let pageToken = '';
+      do {
+        const url = `${MODELS_ENDPOINT}?pageSize=100${pageToken ? `&pageToken=${pageToken}` : ''}`;
+        const data = await geminiRequest.run(async () => {
+          const response = await fetch(url, { signal, headers: { 'x-goog-api-key': apiKey } });
+          const body = await response.json().catch(() => null);
+          if (!response.ok) {
+            throw Object.assign(new Error(body?.error?.message || `Model list failed (${response.status})`), { status: response.status });
+          }
+          return body;
+        }, { signal });
+
+        (data.models || [])
+          .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+          .forEach(model => models.push({
+            id: model.name.replace(/^models\//, ''),
+            label: model.displayName || model.name
+          }));
+        pageToken = data.nextPageToken || '';
+      } while (pageToken);
+
+      this.availableModels = models.length > 0 ? models : KNOWN_MODELS;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Could not list models:', error.message);
+      return this.availableModels || KNOWN_MODELS;
+    }
+    return this.availableModels;
+  }
+};
+
+// Load saved settings on module load
+generationSettings.load();
@@ -0,0 +1,34 @@
+// Approximate nose-tip depth relative to the inter-ocular distance (yaw) and
+// to the eye-to-mouth distance (pitch), used to turn 2D offsets into angles
+const NOSE_DEPTH_RATIO_YAW = 0.6;
+const NOSE_DEPTH_RATIO_PITCH = 0.5;
+// Typical nose position between eye line (0) and mouth (1) when looking straight ahead
+const NEUTRAL_NOSE_HEIGHT = 0.55;
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Estimate head pose in degrees from BlazeFace landmarks (raw, unmirrored video
+// coordinates). Positive yaw = turned to the user's left, positive pitch = looking up.
+export function estimateHeadPose(landmarks) {
+  if (!landmarks || landmarks.length < 4) return null;
+
+  const [rightEye, leftEye, nose, mouth] = landmarks;
+
+  const eyeMidX = (rightEye[0] + leftEye[0]) / 2;
+  const eyeMidY = (rightEye[1] + leftEye[1]) / 2;
+  const eyeDx = leftEye[0] - rightEye[0];
+  const eyeDy = leftEye[1] - rightEye[1];
+  const eyeDistance = Math.hypot(eyeDx, eyeDy);
+  const eyeToMouth = mouth[1] - eyeMidY;
+
+  if (eyeDistance === 0 || eyeToMouth <= 0) return null;
+
+  const yawRatio = (nose[0] - eyeMidX) / eyeDistance;
+  const noseHeight = (nose[1] - eyeMidY) / eyeToMouth;
+
+  return {
+    yaw: toDegrees(Math.atan(yawRatio / NOSE_DEPTH_RATIO_YAW)),
+    pitch: toDegrees(Math.atan((NEUTRAL_NOSE_HEIGHT - noseHeight) / NOSE_DEPTH_RATIO_PITCH)),
+    roll: toDegrees(Math.atan2(eyeDy, eyeDx))
+  };
+}
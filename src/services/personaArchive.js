@@ -0,0 +1,250 @@
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { personaStorage } from './personaStorage';
+import { createId } from './database';
+
+// Archive layout:
+//   persona.json          manifest (format, schema version, persona record, file list)
+//   headshot.jpg          texture photo
+//   frames/frame_001.jpg  volumetric frames, in capture order
+//   stages/<stage>.jpg    other capture-plan stage photos
+//   video.webm            Voice & Motion recording
+//   assets/crop_001.jpg   other blobs by kind, e.g. normalized face crops
+// Blob IDs on the record are replaced by archive paths, and new IDs are
+// generated on import.
+export const ARCHIVE_FORMAT = 'avatarOS-persona';
+export const ARCHIVE_SCHEMA_VERSION = 1;
+const MANIFEST_FILE = 'persona.json';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'video/webm': 'webm',
+  'video/mp4': 'mp4'
+};
+
+export function extensionFor(mimeType) {
+  return EXTENSIONS[mimeType?.split(';')[0]] || 'bin';
+}
+
+function slugify(name) {
+  return (name || 'persona').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'persona';
+}
+
+// Rewrite every blob reference on a persona record through `mapRef`
+function remapBlobRefs(record, mapRef) {
+  const map = ref => (ref ? mapRef(ref) ?? null : null);
+  const mapList = refs => (refs || []).map(map).filter(Boolean);
+
+  const frameMetadata = {};
+  Object.entries(record.frameMetadata || {}).forEach(([ref, meta]) => {
+    const mapped = map(ref);
+    if (mapped) frameMetadata[mapped] = meta;
+  });
+
+  const stageAssets = {};
+  Object.entries(record.stageAssets || {}).forEach(([stageId, asset]) => {
+    stageAssets[stageId] = { ...asset, blobId: map(asset.blobId) };
+    if (asset.frameIds) {
+      stageAssets[stageId].frameIds = mapList(asset.frameIds);
+    }
+  });
+
+  // Processing results are keyed by frame and point at normalized crops
+  let processing = record.processing;
+  if (processing?.frames) {
+    processing = { ...processing, frames: {} };
+    Object.entries(record.processing.frames).forEach(([ref, frame]) => {
+      const mapped = map(ref);
+      if (mapped) processing.frames[mapped] = { ...frame, cropId: map(frame.cropId) };
+    });
+  }
+
+  // Description versions remember which images they were derived from
+  let appearance = record.appearance;
+  if (appearance?.versions) {
+    appearance = {
+      ...appearance,
+      versions: appearance.versions.map(version => ({ ...version, imageIds: mapList(version.imageIds) }))
+    };
+  }
+
+  return {
+    ...record,
+    texturePhotoId: map(record.texturePhotoId),
+    volumetricFrameIds: mapList(record.volumetricFrameIds),
+    videoRecordingId: map(record.videoRecordingId),
+    frameMetadata,
+    stageAssets,
+    processing,
+    appearance
+  };
+}
+
+// Pick a readable archive path for each blob the persona owns
+function assignPaths(record, blobs) {
+  const pathById = {};
+  const stageByBlobId = {};
+  Object.entries(record.stageAssets || {}).forEach(([stageId, asset]) => {
+    if (asset.blobId) stageByBlobId[asset.blobId] = stageId;
+  });
+
+  const frameIndex = id => (record.volumetricFrameIds || []).indexOf(id);
+  let otherCount = 0;
+
+  blobs.forEach(entry => {
+    const ext = extensionFor(entry.blob.type);
+    if (entry.id === record.texturePhotoId) {
+      pathById[entry.id] = `headshot.${ext}`;
+    } else if (entry.id === record.videoRecordingId) {
+      pathById[entry.id] = `video.${ext}`;
+    } else if (frameIndex(entry.id) !== -1) {
+      pathById[entry.id] = `frames/frame_${String(frameIndex(entry.id) + 1).padStart(3, '0')}.${ext}`;
+    } else if (stageByBlobId[entry.id]) {
+      pathById[entry.id] = `stages/${stageByBlobId[entry.id]}.${ext}`;
+    } else {
+      otherCount += 1;
+      pathById[entry.id] = `assets/${entry.kind}_${String(otherCount).padStart(3, '0')}.${ext}`;
+    }
+  });
+
+  return pathById;
+}
+
+export const personaArchive = {
+  // Build a zip archive for one persona. Resolves with { blob, filename }.
+  async exportPersona(id) {
+    const raw = await personaStorage.getRaw(id);
+    if (!raw) {
+      throw new Error('Persona not found');
+    }
+
+    const { record, blobs } = raw;
+    const pathById = assignPaths(record, blobs);
+    const files = {};
+    const fileList = [];
+
+    for (const entry of blobs) {
+      const path = pathById[entry.id];
+      // Images and video are already compressed; store them as-is
+      files[path] = [new Uint8Array(await entry.blob.arrayBuffer()), { level: 0 }];
+      fileList.push({ path, kind: entry.kind, mimeType: entry.blob.type, size: entry.blob.size });
+    }
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      schemaVersion: ARCHIVE_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      persona: remapBlobRefs(record, ref => pathById[ref]),
+      files: fileList
+    };
+    files[MANIFEST_FILE] = strToU8(JSON.stringify(manifest, null, 2));
+
+    return {
+      blob: new Blob([zipSync(files)], { type: 'application/zip' }),
+      filename: `${slugify(record.name)}.avatar.zip`
+    };
+  },
+
+  // Throw a descriptive error if the manifest can't be imported
+  validateManifest(manifest, entries) {
+    if (manifest?.format !== ARCHIVE_FORMAT) {
+      throw new Error('Not an AvatarOS persona archive');
+    }
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+      throw new Error('Persona archive has an invalid schema version');
+    }
+    if (manifest.schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+      throw new Error(`Persona archive uses schema v${manifest.schemaVersion}; this version of AvatarOS supports up to v${ARCHIVE_SCHEMA_VERSION}. Please update the app.`);
+    }
+    if (!manifest.persona?.id || !Array.isArray(manifest.files)) {
+      throw new Error('Persona archive manifest is incomplete');
+    }
+    if (typeof manifest.persona.createdAt !== 'string' || !Array.isArray(manifest.persona.volumetricFrameIds)) {
+      throw new Error('Persona archive manifest is missing persona fields');
+    }
+
+    const missing = manifest.files.filter(file => !entries[file.path]);
+    if (missing.length > 0) {
+      throw new Error(`Persona archive is missing ${missing.length} file(s), e.g. ${missing[0].path}`);
+    }
+  },
+
+  // Import an archive (File or Blob). When the persona ID already exists,
+  // `onCollision` decides: 'copy' (new ID, default), 'replace' or 'error'.
+  async importPersona(file, { onCollision = 'copy' } = {}) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    let entries;
+    try {
+      entries = unzipSync(bytes);
+    } catch {
+      throw new Error('Could not read archive: not a valid zip file');
+    }
+
+    if (!entries[MANIFEST_FILE]) {
+      throw new Error(`Persona archive is missing ${MANIFEST_FILE}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(strFromU8(entries[MANIFEST_FILE]));
+    } catch {
+      throw new Error(`Persona archive has an unreadable ${MANIFEST_FILE}`);
+    }
+    this.validateManifest(manifest, entries);
+
+    const { persona } = manifest;
+    let personaId = persona.id;
+    let name = persona.name;
+
+    const existing = await personaStorage.getById(persona.id);
+    if (existing) {
+      if (onCollision === 'error') {
+        throw new Error(`A persona with ID ${persona.id} already exists`);
+      }
+      if (onCollision === 'copy') {
+        personaId = `persona_${Date.now()}`;
+        name = `${persona.name} (imported)`;
+      }
+      // 'replace' keeps the ID; putRaw drops the old blobs
+    }
+
+    const idByPath = {};
+    const blobs = manifest.files.map(fileInfo => {
+      const blobId = createId(`${personaId}_${fileInfo.kind}`);
+      idByPath[fileInfo.path] = blobId;
+      return {
+        id: blobId,
+        kind: fileInfo.kind,
+        blob: new Blob([entries[fileInfo.path]], { type: fileInfo.mimeType })
+      };
+    });
+
+    // The import counts as a change here, so draft cleanup doesn't treat it as stale
+    const now = new Date().toISOString();
+    const record = {
+      ...remapBlobRefs(persona, path => idByPath[path]),
+      id: personaId,
+      name,
+      updatedAt: now,
+      importedAt: now
+    };
+
+    return personaStorage.putRaw(record, blobs);
+  }
+};
+
+// Trigger a browser download for a Blob
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
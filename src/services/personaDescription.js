@@ -0,0 +1,21 @@
+import { personaStorage } from './personaStorage';
+
+// The persona's cached appearance description, or a new one from `analyze()`
+// when there is none, the images changed since, or `refresh` is set. New text
+// is saved as the current version. Personas without an ID aren't cached.
+export async function resolvePersonaDescription(persona, analyze, { refresh = false } = {}) {
+  if (!persona?.id) {
+    return analyze();
+  }
+
+  if (!refresh) {
+    const cached = await personaStorage.getDescription(persona.id);
+    if (cached && !cached.stale) {
+      return cached.text;
+    }
+  }
+
+  const text = await analyze();
+  await personaStorage.saveDescription(persona.id, text, { source: 'generated' });
+  return text;
+}
@@ -0,0 +1,121 @@
+import { personaStorage } from './personaStorage';
+import { CAPTURE_PLAN } from './capturePlan';
+import { cameraSettings } from './cameraSettings';
+
+// Pipeline stages, in the order the worker runs them
+export const PROCESSING_STAGES = [
+  { id: 'decode', label: 'Loading captures' },
+  { id: 'landmarks', label: 'Extracting landmarks' },
+  { id: 'normalize', label: 'Normalizing face crops' },
+  { id: 'coverage', label: 'Computing pose coverage' },
+  { id: 'quality', label: 'Summarizing quality' }
+];
+
+function abortError() {
+  return new DOMException('Processing cancelled', 'AbortError');
+}
+
+// Every still captured for a persona, in capture-plan order, with the blob to analyse
+function collectFrames(record, blobs) {
+  const blobById = Object.fromEntries(blobs.map(entry => [entry.id, entry.blob]));
+  const frames = [];
+  const seen = new Set();
+
+  const add = (id, stage, phase = null) => {
+    if (!id || seen.has(id) || !blobById[id]) return;
+    seen.add(id);
+    frames.push({
+      id,
+      stageId: stage?.id || null,
+      phase,
+      blob: blobById[id],
+      qualityOverrides: stage?.acceptance?.quality || {}
+    });
+  };
+
+  CAPTURE_PLAN.forEach(stage => {
+    const asset = record.stageAssets?.[stage.id];
+    if (stage.capture === 'video') {
+      (record.volumetricFrameIds || []).forEach(frameId => {
+        add(frameId, stage, record.frameMetadata?.[frameId]?.phase || null);
+      });
+    } else if (asset?.blobId) {
+      add(asset.blobId, stage);
+    }
+  });
+
+  // Personas captured before the stage plan only have these
+  add(record.texturePhotoId, CAPTURE_PLAN[0]);
+  (record.volumetricFrameIds || []).forEach(frameId => add(frameId, null));
+
+  return frames;
+}
+
+export const personaProcessing = {
+  // Run the processing pipeline over a persona's captures and store the result
+  // on the persona. `onProgress` receives { stage, label, stageIndex, completed,
+  // total, progress } where progress is 0-1 across all stages.
+  async run(personaId, { onProgress, signal } = {}) {
+    const raw = await personaStorage.getRaw(personaId);
+    if (!raw) {
+      throw new Error('Persona not found');
+    }
+    if (signal?.aborted) throw abortError();
+
+    const frames = collectFrames(raw.record, raw.blobs);
+    const { result, crops } = await this.runWorker(frames, { onProgress, signal });
+    if (signal?.aborted) throw abortError();
+
+    const persona = await personaStorage.saveProcessingResult(personaId, result, crops);
+    return persona?.processing || result;
+  },
+
+  // Hand the frames to a fresh worker; aborting `signal` terminates it
+  runWorker(frames, { onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const worker = new Worker(new URL('../workers/personaProcessing.worker.js', import.meta.url), { type: 'module' });
+
+      const onAbort = () => {
+        finish();
+        reject(abortError());
+      };
+      const finish = () => {
+        worker.terminate();
+        signal?.removeEventListener('abort', onAbort);
+      };
+      signal?.addEventListener('abort', onAbort);
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'progress') {
+          const stageIndex = PROCESSING_STAGES.findIndex(stage => stage.id === data.stage);
+          onProgress?.({
+            stage: data.stage,
+            label: PROCESSING_STAGES[stageIndex]?.label,
+            stageIndex,
+            completed: data.completed,
+            total: data.total,
+            progress: (stageIndex + data.completed / Math.max(1, data.total)) / PROCESSING_STAGES.length
+          });
+        } else if (data.type === 'result') {
+          finish();
+          resolve(data);
+        } else if (data.type === 'error') {
+          finish();
+          reject(new Error(data.message));
+        }
+      };
+
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'Processing worker failed to start'));
+      };
+
+      worker.postMessage({ frames, modelSources: cameraSettings.getFaceModelSources(undefined, 'blazeface') });
+    });
+  }
+};
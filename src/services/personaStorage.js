@@ -1,11 +1,148 @@
-const STORAGE_KEY = 'avatarOS_personas';
+import { database, STORES, promisifyRequest, createId, dataUrlToBlob, blobToDataUrl } from './database';
+
+// Legacy localStorage key, migrated into IndexedDB on first load
+const LEGACY_STORAGE_KEY = 'avatarOS_personas';
+
+// Incomplete personas untouched for longer than this are treated as abandoned drafts
+export const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Fields that only exist on hydrated personas and are never persisted on the record
+const HYDRATED_FIELDS = ['texturePhoto', 'volumetricFrames', 'stagePhotos'];
+
+// Older appearance description versions beyond this are dropped
+const MAX_DESCRIPTION_VERSIONS = 20;
+
+// The images an appearance description is derived from. A description whose
+// image IDs no longer match the persona's is stale (blob IDs change on re-capture).
+function descriptionImageIds(record) {
+  return [record.texturePhotoId, ...(record.volumetricFrameIds || [])].filter(Boolean);
+}
+
+function sameIds(a = [], b = []) {
+  return a.length === b.length && a.every((id, index) => id === b[index]);
+}
+
+function toBlob(image) {
+  return typeof image === 'string' ? dataUrlToBlob(image) : image;
+}
+
+// When a persona was last touched in this browser, in milliseconds. An
+// imported archive keeps its original dates, so the import time counts too.
+function lastTouched(record) {
+  return Math.max(...[record.updatedAt, record.importedAt, record.session?.savedAt, record.createdAt]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime()));
+}
+
+function stripHydratedFields(updates) {
+  const record = { ...updates };
+  HYDRATED_FIELDS.forEach(field => delete record[field]);
+  return record;
+}
 
 export const personaStorage = {
-  // Get all personas
-  getAll() {
+  ready: null,
+
+  // Make sure legacy data is migrated before the first read or write
+  init() {
+    if (!this.ready) {
+      this.ready = this.migrateFromLocalStorage().catch(error => {
+        console.error('Failed to migrate personas from localStorage:', error);
+      });
+    }
+    return this.ready;
+  },
+
+  // Move personas saved by the localStorage version of this module into IndexedDB
+  async migrateFromLocalStorage() {
+    let legacy;
     try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      return data ? JSON.parse(data) : [];
+      legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+    } catch {
+      return;
+    }
+    if (!legacy) return;
+
+    const personas = JSON.parse(legacy);
+
+    // Decode images before opening the transaction so it doesn't auto-commit
+    const records = [];
+    const blobs = [];
+    personas.forEach(persona => {
+      const record = {
+        ...stripHydratedFields(persona),
+        texturePhotoId: null,
+        volumetricFrameIds: []
+      };
+
+      if (persona.texturePhoto) {
+        record.texturePhotoId = createId(`${persona.id}_texture`);
+        blobs.push({ id: record.texturePhotoId, personaId: persona.id, kind: 'texture', blob: dataUrlToBlob(persona.texturePhoto) });
+      }
+
+      (persona.volumetricFrames || []).forEach(frame => {
+        const frameId = createId(`${persona.id}_frame`);
+        record.volumetricFrameIds.push(frameId);
+        blobs.push({ id: frameId, personaId: persona.id, kind: 'frame', blob: dataUrlToBlob(frame) });
+      });
+
+      records.push(record);
+    });
+
+    await database.transaction([STORES.personas, STORES.blobs], 'readwrite', async stores => {
+      for (const record of records) {
+        // Never overwrite a persona that already exists in IndexedDB
+        const existing = await promisifyRequest(stores.personas.get(record.id));
+        if (!existing) {
+          stores.personas.put(record);
+          blobs.filter(b => b.personaId === record.id).forEach(b => stores.blobs.put(b));
+        }
+      }
+    });
+
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    console.info(`Migrated ${records.length} persona(s) from localStorage to IndexedDB`);
+  },
+
+  // Read a stored blob as-is
+  async getBlob(blobId) {
+    if (!blobId) return null;
+    const entry = await database.get(STORES.blobs, blobId);
+    return entry ? entry.blob : null;
+  },
+
+  // Read a stored blob as a data URL
+  async loadBlob(blobId) {
+    const blob = await this.getBlob(blobId);
+    return blob ? blobToDataUrl(blob) : null;
+  },
+
+  // Attach image data to a persona record. Frames and stage photos are only
+  // loaded on request.
+  async hydrate(record, { includeFrames = false, includeStages = false } = {}) {
+    const persona = {
+      ...record,
+      texturePhoto: await this.loadBlob(record.texturePhotoId)
+    };
+
+    if (includeFrames) {
+      persona.volumetricFrames = await this.loadFrames(record.id);
+    }
+
+    if (includeStages) {
+      persona.stagePhotos = await this.loadStagePhotos(record.id);
+    }
+
+    return persona;
+  },
+
+  // Get all personas (headshot included, frames not loaded)
+  async getAll() {
+    await this.init();
+    try {
+      const records = await database.getAll(STORES.personas);
+      records.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+      return Promise.all(records.map(record => this.hydrate(record)));
     } catch (error) {
       console.error('Failed to load personas:', error);
       return [];
@@ -13,75 +150,275 @@ export const personaStorage = {
   },
 
   // Get a single persona by ID
-  getById(id) {
-    const personas = this.getAll();
-    return personas.find(p => p.id === id) || null;
+  async getById(id, options = {}) {
+    await this.init();
+    try {
+      const record = await database.get(STORES.personas, id);
+      return record ? this.hydrate(record, options) : null;
+    } catch (error) {
+      console.error('Failed to load persona:', error);
+      return null;
+    }
+  },
+
+  // Lazily load frames with their stored metadata ({ id, image, phase, pose, ... })
+  async loadFrameDetails(id) {
+    await this.init();
+    const record = await database.get(STORES.personas, id);
+    if (!record) return [];
+
+    const frames = await Promise.all(record.volumetricFrameIds.map(async frameId => ({
+      id: frameId,
+      ...record.frameMetadata?.[frameId],
+      image: await this.loadBlob(frameId)
+    })));
+    return frames.filter(frame => frame.image);
+  },
+
+  // Lazily load the volumetric frames of a persona as data URLs
+  async loadFrames(id) {
+    await this.init();
+    const record = await database.get(STORES.personas, id);
+    if (!record) return [];
+
+    const frames = await Promise.all(record.volumetricFrameIds.map(frameId => this.loadBlob(frameId)));
+    return frames.filter(Boolean);
   },
 
   // Create a new persona
-  create(name) {
-    const personas = this.getAll();
-    const newPersona = {
-      id: `persona_${Date.now()}`,
-      name: name || `Persona ${personas.length + 1}`,
-      createdAt: new Date().toISOString(),
-      texturePhoto: null,      // Main headshot (base64)
-      volumetricFrames: [],    // Array of frames from video scan (base64)
-      metadata: {
-        captureComplete: false,
-        photoTaken: false,
-        videoTaken: false
-      }
-    };
+  async create(name) {
+    await this.init();
+    try {
+      return await database.transaction(STORES.personas, 'readwrite', async stores => {
+        const count = await promisifyRequest(stores.personas.count());
+        const now = new Date().toISOString();
+        const newPersona = {
+          id: `persona_${Date.now()}`,
+          name: name || `Persona ${count + 1}`,
+          createdAt: now,
+          updatedAt: now,
+          texturePhotoId: null,      // Main headshot (blob ID)
+          volumetricFrameIds: [],    // Frames from video scan (blob IDs)
+          videoRecordingId: null,    // Recorded scan video (blob ID)
+          frameMetadata: {},         // Per-frame details (phase, head pose, face mesh) by blob ID
+          stageAssets: {},           // One asset per capture-plan stage, by stage ID
+          metadata: {
+            captureComplete: false,
+            photoTaken: false,
+            videoTaken: false
+          }
+        };
+        stores.personas.put(newPersona);
+        return { ...newPersona, texturePhoto: null };
+      });
+    } catch (error) {
+      this.handleWriteError(error);
+      return null;
+    }
+  },
 
-    personas.push(newPersona);
-    this.saveAll(personas);
-    return newPersona;
+  // Update persona record fields (images are managed by the dedicated methods)
+  async update(id, updates) {
+    await this.init();
+    try {
+      const record = await database.transaction(STORES.personas, 'readwrite', async stores => {
+        const existing = await promisifyRequest(stores.personas.get(id));
+        if (!existing) return null;
+
+        const updated = { ...existing, ...stripHydratedFields(updates), updatedAt: new Date().toISOString() };
+        stores.personas.put(updated);
+        return updated;
+      });
+
+      if (!record) {
+        console.error('Persona not found:', id);
+        return null;
+      }
+      return this.hydrate(record);
+    } catch (error) {
+      this.handleWriteError(error);
+      return null;
+    }
   },
 
-  // Update persona
-  update(id, updates) {
-    const personas = this.getAll();
-    const index = personas.findIndex(p => p.id === id);
+  // Store a blob and update the persona record in a single transaction.
+  // `buildUpdate(existing, blobId)` returns the fields to merge into the record;
+  // `replaces(existing)` returns the ID of a previous blob to delete, if any.
+  async putAsset(id, kind, image, { buildUpdate, replaces = () => null }) {
+    await this.init();
+    const blob = toBlob(image);
+    try {
+      const record = await database.transaction([STORES.personas, STORES.blobs], 'readwrite', async stores => {
+        const existing = await promisifyRequest(stores.personas.get(id));
+        if (!existing) return null;
+
+        // Replace the previous asset instead of leaking its blob
+        const previousBlobId = replaces(existing);
+        if (previousBlobId) {
+          stores.blobs.delete(previousBlobId);
+        }
+
+        const blobId = createId(`${id}_${kind}`);
+        stores.blobs.put({ id: blobId, personaId: id, kind, blob });
 
-    if (index === -1) {
-      console.error('Persona not found:', id);
+        const updated = { ...existing, ...buildUpdate(existing, blobId, blob), updatedAt: new Date().toISOString() };
+        stores.personas.put(updated);
+        return updated;
+      });
+
+      if (!record) {
+        console.error('Persona not found:', id);
+        return null;
+      }
+      return this.hydrate(record);
+    } catch (error) {
+      this.handleWriteError(error);
       return null;
     }
+  },
 
-    personas[index] = { ...personas[index], ...updates };
-    this.saveAll(personas);
-    return personas[index];
+  // Fields that register a named capture-plan stage asset on the record
+  stageAssetFields(existing, stageId, entry) {
+    if (!stageId) return {};
+    return {
+      stageAssets: {
+        ...existing.stageAssets,
+        [stageId]: { ...entry, capturedAt: new Date().toISOString() }
+      }
+    };
   },
 
-  // Save texture photo to persona
-  saveTexturePhoto(id, base64Image) {
-    return this.update(id, {
-      texturePhoto: base64Image,
-      metadata: {
-        ...this.getById(id)?.metadata,
-        photoTaken: true
+  // Register a stage as captured without storing a blob (e.g. no camera or no recorder)
+  async recordStage(id, stageId, entry = {}) {
+    const persona = await this.getById(id);
+    if (!persona) return null;
+    return this.update(id, this.stageAssetFields(persona, stageId, entry));
+  },
+
+  // Save texture photo to persona (accepts a data URL or Blob). Optional
+  // capture details such as quality scores are stored in the metadata; the
+  // dense face mesh and expression are kept when Face Mesh was the detector.
+  saveTexturePhoto(id, image, { quality = null, pose = null, mesh = null, expression = null, stageId = null } = {}) {
+    return this.putAsset(id, 'texture', image, {
+      replaces: existing => existing.texturePhotoId,
+      buildUpdate: (existing, texturePhotoId) => ({
+        texturePhotoId,
+        metadata: { ...existing.metadata, photoTaken: true, textureQuality: quality },
+        ...this.stageAssetFields(existing, stageId, { type: 'photo', blobId: texturePhotoId, quality, pose, mesh, expression })
+      })
+    });
+  },
+
+  // Save the photo for a capture-plan stage (smile, profiles, ...)
+  saveStageAsset(id, stageId, image, { quality = null, pose = null, mesh = null, expression = null } = {}) {
+    return this.putAsset(id, 'stage', image, {
+      replaces: existing => existing.stageAssets?.[stageId]?.blobId,
+      buildUpdate: (existing, blobId) => this.stageAssetFields(existing, stageId, {
+        type: 'photo',
+        blobId,
+        quality,
+        pose,
+        mesh,
+        expression
+      })
+    });
+  },
+
+  // Add volumetric frame to persona (accepts a data URL or Blob). Optional
+  // metadata such as the measured head pose is kept on the persona record.
+  addVolumetricFrame(id, image, meta = null) {
+    return this.putAsset(id, 'frame', image, {
+      buildUpdate: (existing, frameId) => {
+        const fields = {
+          volumetricFrameIds: [...(existing.volumetricFrameIds || []), frameId]
+        };
+        if (meta) {
+          fields.frameMetadata = {
+            ...existing.frameMetadata,
+            [frameId]: { ...meta, capturedAt: new Date().toISOString() }
+          };
+        }
+        return fields;
       }
     });
   },
 
-  // Add volumetric frame to persona
-  addVolumetricFrame(id, base64Image) {
-    const persona = this.getById(id);
-    if (!persona) return null;
+  // Remove all volumetric frames (before re-capturing the video stage)
+  async clearVolumetricFrames(id) {
+    await this.init();
+    try {
+      await database.transaction([STORES.personas, STORES.blobs], 'readwrite', async stores => {
+        const existing = await promisifyRequest(stores.personas.get(id));
+        if (!existing) return;
+
+        (existing.volumetricFrameIds || []).forEach(frameId => stores.blobs.delete(frameId));
+        stores.personas.put({ ...existing, volumetricFrameIds: [], frameMetadata: {} });
+      });
+      return true;
+    } catch (error) {
+      this.handleWriteError(error);
+      return false;
+    }
+  },
+
+  // Save the recorded scan video, replacing any previous recording
+  saveVideoRecording(id, recording, { stageId = null } = {}) {
+    const { blob, mimeType, duration, hasAudio } = recording;
+    return this.putAsset(id, 'video', blob, {
+      replaces: existing => existing.videoRecordingId,
+      buildUpdate: (existing, videoRecordingId) => ({
+        videoRecordingId,
+        metadata: {
+          ...existing.metadata,
+          videoMimeType: mimeType || blob.type,
+          videoDuration: duration || null,
+          videoHasAudio: !!hasAudio
+        },
+        ...this.stageAssetFields(existing, stageId, {
+          type: 'video',
+          blobId: videoRecordingId,
+          frameIds: existing.volumetricFrameIds || []
+        })
+      })
+    });
+  },
+
+  // Load the recorded scan video as a Blob (not hydrated by default due to size)
+  async loadVideoRecording(id) {
+    await this.init();
+    const record = await database.get(STORES.personas, id);
+    return record ? this.getBlob(record.videoRecordingId) : null;
+  },
 
-    const frames = [...(persona.volumetricFrames || []), base64Image];
+  // Load every photo stage asset as data URLs keyed by stage ID
+  async loadStagePhotos(id) {
+    await this.init();
+    const record = await database.get(STORES.personas, id);
+    if (!record?.stageAssets) return {};
+
+    const photos = {};
+    for (const [stageId, asset] of Object.entries(record.stageAssets)) {
+      if (asset.type === 'photo') {
+        photos[stageId] = await this.loadBlob(asset.blobId);
+      }
+    }
+    return photos;
+  },
+
+  // Remember where the capture wizard is, so a reload can resume it
+  saveSession(id, session) {
     return this.update(id, {
-      volumetricFrames: frames
+      session: { ...session, savedAt: new Date().toISOString() }
     });
   },
 
   // Mark capture as complete
-  markComplete(id) {
-    const persona = this.getById(id);
+  async markComplete(id) {
+    const persona = await this.getById(id);
     if (!persona) return null;
 
     return this.update(id, {
+      session: null,
       metadata: {
         ...persona.metadata,
         videoTaken: true,
@@ -90,17 +427,157 @@ export const personaStorage = {
     });
   },
 
-  // Delete a persona
-  delete(id) {
-    const personas = this.getAll();
-    const filtered = personas.filter(p => p.id !== id);
-    this.saveAll(filtered);
-    return true;
+  // Current appearance description: { text, versionId, source, createdAt, stale }
+  // or null. `stale` is true once the persona's images changed since.
+  async getDescription(id) {
+    await this.init();
+    const record = await database.get(STORES.personas, id);
+    const appearance = record?.appearance;
+    const current = appearance?.versions.find(version => version.id === appearance.currentVersionId);
+    if (!current) return null;
+
+    return {
+      text: current.text,
+      versionId: current.id,
+      source: current.source,
+      createdAt: current.createdAt,
+      stale: !sameIds(current.imageIds, descriptionImageIds(record))
+    };
+  },
+
+  // All stored description versions, newest first
+  async getDescriptionVersions(id) {
+    await this.init();
+    const record = await database.get(STORES.personas, id);
+    return [...(record?.appearance?.versions || [])].reverse();
+  },
+
+  // Store a new description version and make it current. `source` is
+  // 'generated', 'edited' or 'rollback'.
+  async saveDescription(id, text, { source = 'generated', restoredFrom = null } = {}) {
+    await this.init();
+    try {
+      const record = await database.transaction(STORES.personas, 'readwrite', async stores => {
+        const existing = await promisifyRequest(stores.personas.get(id));
+        if (!existing) return null;
+
+        const version = {
+          id: createId('description'),
+          text,
+          source,
+          restoredFrom,
+          imageIds: descriptionImageIds(existing),
+          createdAt: new Date().toISOString()
+        };
+        const versions = [...(existing.appearance?.versions || []), version].slice(-MAX_DESCRIPTION_VERSIONS);
+
+        const updated = {
+          ...existing,
+          appearance: { currentVersionId: version.id, versions },
+          updatedAt: new Date().toISOString()
+        };
+        stores.personas.put(updated);
+        return updated;
+      });
+      return record ? this.getDescription(id) : null;
+    } catch (error) {
+      this.handleWriteError(error);
+      return null;
+    }
+  },
+
+  // Make an older version current again. It's re-saved against the current
+  // images, so rolling back doesn't leave a stale description.
+  async rollbackDescription(id, versionId) {
+    const versions = await this.getDescriptionVersions(id);
+    const version = versions.find(v => v.id === versionId);
+    if (!version) return null;
+    return this.saveDescription(id, version.text, { source: 'rollback', restoredFrom: versionId });
+  },
+
+  // Store the result of a processing run. The previous run's normalized face
+  // crops are replaced, and each new crop's blob ID is set on its frame result.
+  async saveProcessingResult(id, result, crops = []) {
+    await this.init();
+    try {
+      const record = await database.transaction([STORES.personas, STORES.blobs], 'readwrite', async stores => {
+        const existing = await promisifyRequest(stores.personas.get(id));
+        if (!existing) return null;
+
+        Object.values(existing.processing?.frames || {}).forEach(frame => {
+          if (frame.cropId) stores.blobs.delete(frame.cropId);
+        });
+
+        const frames = { ...result.frames };
+        crops.forEach(({ frameId, blob }) => {
+          const cropId = createId(`${id}_crop`);
+          stores.blobs.put({ id: cropId, personaId: id, kind: 'crop', blob });
+          frames[frameId] = { ...frames[frameId], cropId };
+        });
+
+        const updated = { ...existing, processing: { ...result, frames }, updatedAt: new Date().toISOString() };
+        stores.personas.put(updated);
+        return updated;
+      });
+
+      if (!record) {
+        console.error('Persona not found:', id);
+        return null;
+      }
+      return this.hydrate(record);
+    } catch (error) {
+      this.handleWriteError(error);
+      return null;
+    }
+  },
+
+  // Read a persona record together with every blob it owns (for archiving)
+  async getRaw(id) {
+    await this.init();
+    return database.transaction([STORES.personas, STORES.blobs], 'readonly', async stores => {
+      const record = await promisifyRequest(stores.personas.get(id));
+      if (!record) return null;
+
+      const blobs = await promisifyRequest(stores.blobs.index('personaId').getAll(id));
+      return { record, blobs };
+    });
+  },
+
+  // Write a persona record and its blobs in one transaction, replacing any
+  // persona with the same ID (used by archive import)
+  async putRaw(record, blobs) {
+    await this.init();
+    await database.transaction([STORES.personas, STORES.blobs], 'readwrite', async stores => {
+      const staleKeys = await promisifyRequest(stores.blobs.index('personaId').getAllKeys(record.id));
+      staleKeys.forEach(key => stores.blobs.delete(key));
+
+      stores.personas.put(record);
+      blobs.forEach(entry => stores.blobs.put({ ...entry, personaId: record.id }));
+    });
+    return this.hydrate(record);
+  },
+
+  // Delete a persona with all of its blobs and generation history
+  async delete(id) {
+    await this.init();
+    try {
+      await database.transaction([STORES.personas, STORES.blobs, STORES.generations], 'readwrite', async stores => {
+        stores.personas.delete(id);
+        const blobKeys = await promisifyRequest(stores.blobs.index('personaId').getAllKeys(id));
+        blobKeys.forEach(key => stores.blobs.delete(key));
+        const generationKeys = await promisifyRequest(stores.generations.index('personaId').getAllKeys(id));
+        generationKeys.forEach(key => stores.generations.delete(key));
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to delete persona:', error);
+      return false;
+    }
   },
 
   // Get active/current persona (most recent incomplete or last created)
-  getActive() {
-    const personas = this.getAll();
+  async getActive() {
+    const personas = await this.getAll();
 
     // Find incomplete persona first
     const incomplete = personas.find(p => !p.metadata?.captureComplete);
@@ -110,40 +587,85 @@ export const personaStorage = {
     return personas[personas.length - 1] || null;
   },
 
-  // Save all personas to localStorage
-  saveAll(personas) {
+  // Most recently touched incomplete persona, if any (for "Resume capture")
+  async getResumable() {
+    const personas = await this.getAll();
+    const drafts = personas.filter(p => !p.metadata?.captureComplete);
+    drafts.sort((a, b) => lastTouched(b) - lastTouched(a));
+    return drafts[0] || null;
+  },
+
+  // Delete incomplete personas that haven't been touched within `maxAgeMs`.
+  // Resolves with the number of drafts removed.
+  async cleanupDrafts(maxAgeMs = DRAFT_MAX_AGE_MS) {
+    await this.init();
+    const cutoff = Date.now() - maxAgeMs;
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(personas));
-      return true;
-    } catch (error) {
-      console.error('Failed to save personas:', error);
-      // Handle quota exceeded
-      if (error.name === 'QuotaExceededError') {
-        console.error('Storage quota exceeded. Consider deleting old personas.');
+      const records = await database.getAll(STORES.personas);
+      const abandoned = records.filter(record =>
+        !record.metadata?.captureComplete &&
+        lastTouched(record) < cutoff
+      );
+      for (const record of abandoned) {
+        await this.delete(record.id);
       }
-      return false;
+      return abandoned.length;
+    } catch (error) {
+      console.error('Failed to clean up draft personas:', error);
+      return 0;
     }
   },
 
   // Clear all personas
-  clearAll() {
-    localStorage.removeItem(STORAGE_KEY);
+  async clearAll() {
+    await this.init();
+    await database.transaction([STORES.personas, STORES.blobs, STORES.generations], 'readwrite', stores => {
+      stores.personas.clear();
+      stores.blobs.clear();
+      stores.generations.clear();
+    });
     return true;
   },
 
   // Get storage usage info
-  getStorageInfo() {
-    const data = localStorage.getItem(STORAGE_KEY) || '';
-    const sizeInBytes = new Blob([data]).size;
+  async getStorageInfo() {
+    await this.init();
+    const [records, blobs, generations] = await Promise.all([
+      database.getAll(STORES.personas),
+      database.getAll(STORES.blobs),
+      database.getAll(STORES.generations)
+    ]);
+
+    // Per-persona footprint: its record, every blob it owns and its generated outputs
+    const sizeByPersona = {};
+    records.forEach(record => {
+      sizeByPersona[record.id] = new Blob([JSON.stringify(record)]).size;
+    });
+    blobs.forEach(entry => {
+      sizeByPersona[entry.personaId] = (sizeByPersona[entry.personaId] || 0) + entry.blob.size;
+    });
+    generations.forEach(entry => {
+      const outputSize = (entry.outputs || []).reduce((total, output) => total + output.blob.size, 0);
+      sizeByPersona[entry.personaId] = (sizeByPersona[entry.personaId] || 0) + outputSize;
+    });
+
+    const sizeInBytes = Object.values(sizeByPersona).reduce((total, size) => total + size, 0);
     const sizeInMB = (sizeInBytes / (1024 * 1024)).toFixed(2);
-    const personas = this.getAll();
 
     return {
-      totalPersonas: personas.length,
+      totalPersonas: records.length,
       sizeInBytes,
       sizeInMB: `${sizeInMB} MB`,
-      completedPersonas: personas.filter(p => p.metadata?.captureComplete).length
+      sizeByPersona,
+      completedPersonas: records.filter(p => p.metadata?.captureComplete).length
     };
+  },
+
+  handleWriteError(error) {
+    console.error('Failed to save persona:', error);
+    if (error?.name === 'QuotaExceededError') {
+      console.error('Storage quota exceeded. Consider deleting old personas.');
+    }
   }
 };
 
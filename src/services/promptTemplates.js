@@ -0,0 +1,288 @@
+import { createId } from './database';
+
+const TEMPLATES_STORAGE = 'avatarOS_prompt_templates';
+export const TEMPLATE_EXPORT_FORMAT = 'avatarOS-prompt-templates';
+const TEMPLATE_EXPORT_VERSION = 1;
+
+export const TEMPLATE_MODES = ['image', 'video'];
+
+// `{name}` or `{name=default value}` in a template prompt
+const VARIABLE_PATTERN = /\{([a-zA-Z][\w]*)(?:=([^{}]*))?\}/g;
+
+// Shipped with the app; read-only, but can be duplicated and edited
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-horse-beach',
+    name: 'Horse Ride',
+    mode: 'image',
+    category: 'Lifestyle',
+    prompt: 'Create a photo of me riding a horse on a {location=beach} at {time_of_day=sunset}'
+  },
+  {
+    id: 'builtin-headshot',
+    name: 'Professional Headshot',
+    mode: 'image',
+    category: 'Professional',
+    prompt: 'Generate a professional headshot of me in a {outfit=business suit} against a {background=neutral grey} background'
+  },
+  {
+    id: 'builtin-superhero',
+    name: 'Superhero',
+    mode: 'image',
+    category: 'Fantasy',
+    prompt: 'Create an image of me as a superhero flying over {location=a city}'
+  },
+  {
+    id: 'builtin-walking',
+    name: 'Walking Scene',
+    mode: 'video',
+    category: 'Lifestyle',
+    prompt: 'Create a video of me walking confidently through {location=a city street}'
+  },
+  {
+    id: 'builtin-talking',
+    name: 'Talking Head',
+    mode: 'video',
+    category: 'Professional',
+    prompt: 'Generate a video of me speaking to the camera in {setting=a professional setting}'
+  },
+  {
+    id: 'builtin-action',
+    name: 'Action Shot',
+    mode: 'video',
+    category: 'Action',
+    prompt: 'Create a video of me running through {location=a forest trail} at golden hour'
+  },
+  {
+    id: 'builtin-cinematic',
+    name: 'Cinematic Portrait',
+    mode: 'video',
+    category: 'Cinematic',
+    prompt: 'Generate a cinematic slow-motion video of me looking at the camera with dramatic lighting'
+  },
+  {
+    id: 'builtin-dance',
+    name: 'Dance Move',
+    mode: 'video',
+    category: 'Action',
+    prompt: 'Create a video of me doing {dance=a simple dance move} in a studio with colorful lights'
+  }
+].map(template => ({ ...template, builtIn: true }));
+
+// Variables in a prompt, in order of first use:
+// [{ name, label, defaultValue }]
+export function parseVariables(prompt) {
+  const variables = new Map();
+  for (const [, name, defaultValue] of prompt.matchAll(VARIABLE_PATTERN)) {
+    if (!variables.has(name)) {
+      variables.set(name, {
+        name,
+        label: name.replace(/_/g, ' ').replace(/^./, char => char.toUpperCase()),
+        defaultValue: defaultValue?.trim() || ''
+      });
+    } else if (!variables.get(name).defaultValue && defaultValue) {
+      variables.get(name).defaultValue = defaultValue.trim();
+    }
+  }
+  return [...variables.values()];
+}
+
+// Replace variables with `values`, falling back to their defaults. Variables
+// with neither are left in place so the gap is visible.
+export function fillTemplate(prompt, values = {}) {
+  return prompt.replace(VARIABLE_PATTERN, (match, name, defaultValue) => {
+    const value = values[name]?.trim() || defaultValue?.trim();
+    return value || `{${name}}`;
+  });
+}
+
+// Check and tidy a template before it's stored; throws on bad input
+function normalizeTemplate(template) {
+  const name = template.name?.trim();
+  const prompt = template.prompt?.trim();
+  if (!name) throw new Error('Template needs a name');
+  if (!prompt) throw new Error('Template needs a prompt');
+  if (!TEMPLATE_MODES.includes(template.mode)) throw new Error(`Unknown template mode: ${template.mode}`);
+
+  return {
+    id: template.id,
+    name,
+    mode: template.mode,
+    category: template.category?.trim() || 'General',
+    prompt,
+    createdAt: template.createdAt || new Date().toISOString(),
+    updatedAt: template.updatedAt || new Date().toISOString()
+  };
+}
+
+export const promptTemplates = {
+  // { templates: [custom templates], defaults: { image: id, video: id } }
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(TEMPLATES_STORAGE));
+      return {
+        templates: Array.isArray(saved?.templates) ? saved.templates : [],
+        defaults: saved?.defaults || {}
+      };
+    } catch (error) {
+      return { templates: [], defaults: {} };
+    }
+  },
+
+  persist(data) {
+    try {
+      localStorage.setItem(TEMPLATES_STORAGE, JSON.stringify(data));
+    } catch (error) {
+      console.error('Failed to save prompt templates:', error);
+      throw error;
+    }
+  },
+
+  // Built-in and custom templates, optionally narrowed by mode, category and
+  // a search over name and prompt. Custom templates come first.
+  list({ mode = null, category = null, query = '' } = {}) {
+    const needle = query.trim().toLowerCase();
+    return [...this.load().templates, ...BUILT_IN_TEMPLATES]
+      .filter(template => !mode || template.mode === mode)
+      .filter(template => !category || template.category === category)
+      .filter(template => !needle || `${template.name} ${template.prompt}`.toLowerCase().includes(needle));
+  },
+
+  get(id) {
+    return this.list().find(template => template.id === id) || null;
+  },
+
+  // Categories in use, alphabetically
+  categories(mode = null) {
+    return [...new Set(this.list({ mode }).map(template => template.category))].sort();
+  },
+
+  // Create (no id) or update a custom template. Returns the stored template.
+  save(template) {
+    if (template.id && BUILT_IN_TEMPLATES.some(builtIn => builtIn.id === template.id)) {
+      throw new Error('Built-in templates can\'t be changed. Duplicate it first.');
+    }
+
+    const data = this.load();
+    const existing = data.templates.find(item => item.id === template.id);
+    const saved = normalizeTemplate({
+      ...existing,
+      ...template,
+      id: existing?.id || createId('template'),
+      updatedAt: new Date().toISOString()
+    });
+
+    data.templates = existing
+      ? data.templates.map(item => (item.id === saved.id ? saved : item))
+      : [saved, ...data.templates];
+    this.persist(data);
+    return saved;
+  },
+
+  // Editable copy of any template
+  duplicate(id) {
+    const source = this.get(id);
+    if (!source) return null;
+    return this.save({
+      name: `${source.name} (copy)`,
+      mode: source.mode,
+      category: source.category,
+      prompt: source.prompt
+    });
+  },
+
+  delete(id) {
+    const data = this.load();
+    data.templates = data.templates.filter(template => template.id !== id);
+    Object.keys(data.defaults).forEach(mode => {
+      if (data.defaults[mode] === id) delete data.defaults[mode];
+    });
+    this.persist(data);
+  },
+
+  // Template preselected when the studio switches to `mode`, if any
+  getDefault(mode) {
+    const id = this.load().defaults[mode];
+    return id ? this.get(id) : null;
+  },
+
+  setDefault(mode, id) {
+    const data = this.load();
+    if (id) {
+      data.defaults[mode] = id;
+    } else {
+      delete data.defaults[mode];
+    }
+    this.persist(data);
+  },
+
+  // Custom templates and mode defaults as a shareable JSON document
+  exportJson() {
+    const { templates, defaults } = this.load();
+    return JSON.stringify({
+      format: TEMPLATE_EXPORT_FORMAT,
+      version: TEMPLATE_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      templates,
+      defaults
+    }, null, 2);
+  },
+
+  // Merge an exported document. Templates with a known ID replace the local
+  // copy, so re-importing a team's updated file updates it in place.
+  // Returns { added, updated, skipped }.
+  importJson(text) {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a valid JSON file');
+    }
+    if (document?.format !== TEMPLATE_EXPORT_FORMAT || !Array.isArray(document.templates)) {
+      throw new Error('Not an AvatarOS prompt template file');
+    }
+    if (document.version > TEMPLATE_EXPORT_VERSION) {
+      throw new Error(`Template file version ${document.version} is newer than this app supports`);
+    }
+
+    const data = this.load();
+    const counts = { added: 0, updated: 0, skipped: 0 };
+
+    document.templates.forEach(incoming => {
+      if (!incoming || typeof incoming !== 'object' || Array.isArray(incoming)) {
+        counts.skipped++;
+        return;
+      }
+      if (BUILT_IN_TEMPLATES.some(builtIn => builtIn.id === incoming.id)) {
+        counts.skipped++;
+        return;
+      }
+      let template;
+      try {
+        template = normalizeTemplate({ ...incoming, id: incoming.id || createId('template') });
+      } catch (error) {
+        counts.skipped++;
+        return;
+      }
+
+      const index = data.templates.findIndex(item => item.id === template.id);
+      if (index === -1) {
+        data.templates.push(template);
+        counts.added++;
+      } else {
+        data.templates[index] = template;
+        counts.updated++;
+      }
+    });
+
+    // Adopt the file's defaults where they point at a template we have
+    const knownIds = new Set([...data.templates, ...BUILT_IN_TEMPLATES].map(template => template.id));
+    TEMPLATE_MODES.forEach(mode => {
+      const id = document.defaults?.[mode];
+      if (id && knownIds.has(id)) data.defaults[mode] = id;
+    });
+
+    this.persist(data);
+    return counts;
+  }
+};
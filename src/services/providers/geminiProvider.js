@@ -0,0 +1,32 @@
+import { geminiService } from '../geminiService';
+import { veo3Service } from '../veo3Service';
+
+// Google's hosted models: Gemini for analysis, prompts and images, Veo for video
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  description: 'Gemini and Veo through your Google AI Studio API key.',
+  needsApiKey: true,
+  capabilities: { analysis: true, streaming: true, video: true },
+
+  isReady() {
+    return geminiService.isInitialized();
+  },
+
+  analyzePersona(persona, { signal } = {}) {
+    return geminiService.analyzePersona(persona, { signal });
+  },
+
+  generateImages(persona, prompt, { description, signal, onText } = {}) {
+    return geminiService.generateImages(persona, prompt, description, { signal, onText });
+  },
+
+  generateVideoPrompt(persona, prompt, { description, signal, onText } = {}) {
+    return veo3Service.generateVideoPrompt(persona, prompt, description, { signal, onText });
+  },
+
+  async generateVideo(videoPrompt, { persona, signal, onProgress } = {}) {
+    const video = await veo3Service.generateVideo(videoPrompt, { persona, signal, onProgress });
+    return { ...video, model: veo3Service.config.model };
+  }
+};
@@ -0,0 +1,286 @@
+import { geminiRequest, GeminiRequestError, sleep } from '../geminiRequest';
+import { dataUrlToBlob } from '../database';
+
+const HTTP_CONFIG_STORAGE = 'avatarOS_http_provider';
+const POLL_INTERVAL_MS = 1000;
+const POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+// API styles the provider speaks
+export const HTTP_FLAVORS = [
+  { id: 'a1111', label: 'Stable Diffusion WebUI (A1111 / Forge)' },
+  { id: 'comfyui', label: 'ComfyUI (workflow JSON)' }
+];
+
+// ComfyUI workflows are API-format JSON exports with these placeholders in
+// string values: {{prompt}}, {{negative_prompt}}, {{reference_image}} (the
+// uploaded headshot's filename) and {{seed}} (replaced with a number).
+export const DEFAULT_HTTP_CONFIG = {
+  baseUrl: 'http://127.0.0.1:7860',
+  flavor: 'a1111',
+  negativePrompt: 'blurry, deformed, extra limbs, watermark',
+  steps: 25,
+  width: 768,
+  height: 768,
+  cfgScale: 7,
+  useReference: true,      // A1111: img2img from the headshot instead of txt2img
+  denoisingStrength: 0.6,
+  imageWorkflow: '',
+  videoWorkflow: ''
+};
+
+const VIDEO_EXTENSIONS = { mp4: 'video/mp4', webm: 'video/webm', gif: 'image/gif', webp: 'image/webp' };
+
+function base64Of(dataUrl) {
+  return dataUrl.includes(',') ? dataUrl.split(',')[1] : dataUrl;
+}
+
+// Text-to-image models take a flat prompt; the description goes after the request
+function composePrompt(prompt, description) {
+  return description ? `${prompt}. ${description}` : prompt;
+}
+
+// Replace {{placeholders}} in every string of a ComfyUI workflow
+function fillWorkflow(node, values) {
+  if (typeof node === 'string') {
+    if (node === '{{seed}}') return values.seed;
+    return node.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+  if (Array.isArray(node)) return node.map(item => fillWorkflow(item, values));
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fillWorkflow(value, values)]));
+  }
+  return node;
+}
+
+function parseWorkflow(json, kind) {
+  if (!json?.trim()) {
+    throw new GeminiRequestError(`No ComfyUI ${kind} workflow configured. Paste an API-format workflow in settings.`, { kind: 'request' });
+  }
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new GeminiRequestError(`The ComfyUI ${kind} workflow isn't valid JSON: ${error.message}`, { kind: 'request' });
+  }
+}
+
+// Self-hosted inference server. Prompts are composed locally (there's no
+// language model), so video prompts aren't rewritten and persona analysis is
+// only available through A1111's CLIP interrogator.
+export const httpProvider = {
+  id: 'http',
+  label: 'Self-hosted HTTP',
+  description: 'A Stable Diffusion WebUI or ComfyUI server you run yourself.',
+  needsApiKey: false,
+  config: { ...DEFAULT_HTTP_CONFIG },
+
+  get capabilities() {
+    const isComfy = this.config.flavor === 'comfyui';
+    return {
+      analysis: !isComfy,
+      streaming: false,
+      video: isComfy && !!this.config.videoWorkflow.trim()
+    };
+  },
+
+  isReady() {
+    return !!this.config.baseUrl;
+  },
+
+  // Load the server settings from localStorage
+  loadConfig() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(HTTP_CONFIG_STORAGE));
+      this.config = { ...DEFAULT_HTTP_CONFIG, ...saved };
+    } catch (error) {
+      this.config = { ...DEFAULT_HTTP_CONFIG };
+    }
+    return this.config;
+  },
+
+  configure(config) {
+    this.config = { ...this.config, ...config };
+    if ('baseUrl' in config) {
+      this.config.baseUrl = config.baseUrl?.trim().replace(/\/+$/, '') || DEFAULT_HTTP_CONFIG.baseUrl;
+    }
+    try {
+      localStorage.setItem(HTTP_CONFIG_STORAGE, JSON.stringify(this.config));
+    } catch (error) {
+      console.error('Failed to save HTTP provider settings:', error);
+    }
+    return this.config;
+  },
+
+  // JSON (or raw, with `raw`) request against the server, with the shared
+  // error handling. The Gemini rate limit doesn't apply to it. Only GETs
+  // (status polls, downloads) are retried: a retried POST could queue the
+  // same job twice.
+  request(path, { method = 'GET', body, signal, raw = false } = {}) {
+    const url = `${this.config.baseUrl}${path}`;
+    return geminiRequest.run(async () => {
+      const response = await fetch(url, {
+        method,
+        signal,
+        headers: body && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : undefined,
+        body: body instanceof FormData ? body : body ? JSON.stringify(body) : undefined
+      });
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw Object.assign(
+          new Error(`Server request failed (${response.status}): ${detail.slice(0, 200) || response.statusText}`),
+          { status: response.status }
+        );
+      }
+      return raw ? response : response.json();
+    }, { signal, rateLimited: false, maxRetries: method === 'GET' ? undefined : 0 });
+  },
+
+  async analyzePersona(persona, { signal } = {}) {
+    if (!this.capabilities.analysis) {
+      throw new GeminiRequestError('This server can\'t describe photos. Write the description by hand instead.', { kind: 'request' });
+    }
+    if (!persona?.texturePhoto) {
+      throw new Error('No images found in persona');
+    }
+    const data = await this.request('/sdapi/v1/interrogate', {
+      method: 'POST',
+      body: { image: base64Of(persona.texturePhoto), model: 'clip' },
+      signal
+    });
+    return data.caption;
+  },
+
+  async generateImages(persona, prompt, { description, signal } = {}) {
+    const fullPrompt = composePrompt(prompt, description);
+    const images = this.config.flavor === 'comfyui'
+      ? await this.runComfyWorkflow(parseWorkflow(this.config.imageWorkflow, 'image'), persona, fullPrompt, { signal })
+      : await this.runA1111(persona, fullPrompt, { signal });
+
+    if (images.length === 0) {
+      throw new GeminiRequestError('The server returned no images.', { kind: 'request' });
+    }
+    return { images, text: null, model: this.config.flavor };
+  },
+
+  // No language model: the video prompt is the request plus the description
+  async generateVideoPrompt(persona, prompt, { description, onText } = {}) {
+    const videoPrompt = composePrompt(prompt, description);
+    onText?.(videoPrompt);
+    return { videoPrompt, personaDescription: description, model: 'template' };
+  },
+
+  async generateVideo(videoPrompt, { persona, signal, onProgress } = {}) {
+    if (!this.capabilities.video) {
+      throw new GeminiRequestError('Video needs a ComfyUI server with a video workflow configured.', { kind: 'request' });
+    }
+    const [output] = await this.runComfyWorkflow(
+      parseWorkflow(this.config.videoWorkflow, 'video'), persona, videoPrompt, { signal, onProgress }
+    );
+    if (!output) {
+      throw new GeminiRequestError('The video workflow produced no output.', { kind: 'request' });
+    }
+    return { ...output, operationName: null, durationSeconds: null, model: 'comfyui' };
+  },
+
+  // txt2img, or img2img seeded with the headshot to keep the likeness
+  async runA1111(persona, prompt, { signal }) {
+    const { negativePrompt, steps, width, height, cfgScale, useReference, denoisingStrength } = this.config;
+    const body = {
+      prompt,
+      negative_prompt: negativePrompt,
+      steps,
+      width,
+      height,
+      cfg_scale: cfgScale,
+      seed: -1
+    };
+
+    const withReference = useReference && persona?.texturePhoto;
+    const data = await this.request(withReference ? '/sdapi/v1/img2img' : '/sdapi/v1/txt2img', {
+      method: 'POST',
+      body: withReference
+        ? { ...body, init_images: [base64Of(persona.texturePhoto)], denoising_strength: denoisingStrength }
+        : body,
+      signal
+    });
+
+    return (data.images || []).map(image => ({
+      mimeType: 'image/png',
+      blob: dataUrlToBlob(`data:image/png;base64,${image}`)
+    }));
+  },
+
+  // Queue a workflow, wait for it to finish and download its outputs.
+  // Resolves with [{ blob, mimeType }].
+  async runComfyWorkflow(workflow, persona, prompt, { signal, onProgress } = {}) {
+    const startedAt = Date.now();
+    const report = (state, extra = {}) => onProgress?.({ state, elapsedMs: Date.now() - startedAt, ...extra });
+
+    report('submitting');
+    let referenceImage = '';
+    if (persona?.texturePhoto && JSON.stringify(workflow).includes('{{reference_image}}')) {
+      const form = new FormData();
+      form.append('image', dataUrlToBlob(persona.texturePhoto), 'avatar-reference.jpg');
+      form.append('overwrite', 'true');
+      const uploaded = await this.request('/upload/image', { method: 'POST', body: form, signal });
+      referenceImage = uploaded.subfolder ? `${uploaded.subfolder}/${uploaded.name}` : uploaded.name;
+    }
+
+    const filled = fillWorkflow(workflow, {
+      prompt,
+      negative_prompt: this.config.negativePrompt,
+      reference_image: referenceImage,
+      seed: Math.floor(Math.random() * 2 ** 32)
+    });
+    const { prompt_id: promptId } = await this.request('/prompt', { method: 'POST', body: { prompt: filled }, signal });
+
+    let entry;
+    try {
+      for (let polls = 0; ; polls++) {
+        if (Date.now() - startedAt > POLL_TIMEOUT_MS) {
+          throw new Error('ComfyUI workflow timed out');
+        }
+        report('polling', { operationName: promptId, polls });
+        await sleep(POLL_INTERVAL_MS, signal);
+        const history = await this.request(`/history/${promptId}`, { signal });
+        entry = history[promptId];
+        if (entry?.status?.completed || entry?.status?.status_str === 'error') break;
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') this.cancelComfyPrompt(promptId);
+      throw error;
+    }
+
+    if (entry.status.status_str === 'error') {
+      throw new GeminiRequestError('The ComfyUI workflow failed. Check the server log for the failing node.', { kind: 'server' });
+    }
+
+    report('downloading', { operationName: promptId });
+    const files = Object.values(entry.outputs || {})
+      .flatMap(output => [...(output.gifs || []), ...(output.videos || []), ...(output.images || [])])
+      .filter(file => file.type === 'output');
+
+    const outputs = [];
+    for (const file of files) {
+      const query = new URLSearchParams({ filename: file.filename, subfolder: file.subfolder || '', type: file.type });
+      const response = await this.request(`/view?${query}`, { signal, raw: true });
+      const blob = await response.blob();
+      const ext = file.filename.split('.').pop().toLowerCase();
+      const mimeType = blob.type && blob.type !== 'application/octet-stream'
+        ? blob.type
+        : VIDEO_EXTENSIONS[ext] || 'image/png';
+      outputs.push({ mimeType, blob: blob.type === mimeType ? blob : new Blob([blob], { type: mimeType }) });
+    }
+    report('done', { operationName: promptId });
+    return outputs;
+  },
+
+  // Drop a queued prompt and interrupt it if it's running. Best effort.
+  cancelComfyPrompt(promptId) {
+    this.request('/queue', { method: 'POST', body: { delete: [promptId] } })
+      .then(() => this.request('/interrupt', { method: 'POST', body: { prompt_id: promptId } }))
+      .catch(error => console.warn('Could not cancel ComfyUI prompt:', error.message));
+  }
+};
+
+// Load saved server settings on module load
+httpProvider.loadConfig();
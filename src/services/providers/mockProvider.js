@@ -0,0 +1,133 @@
+import { sleep } from '../geminiRequest';
+
+const CHUNK_DELAY_MS = 40;
+const VIDEO_STEP_MS = 400;
+
+// FNV-1a, so the same prompt always produces the same fixture
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Two colours derived from the prompt
+function palette(seed) {
+  const hue = seed % 360;
+  return [`hsl(${hue}, 70%, 45%)`, `hsl(${(hue + 60) % 360}, 70%, 25%)`];
+}
+
+function svgBlob(content) {
+  return new Blob([content], { type: 'image/svg+xml' });
+}
+
+// Placeholder image: gradient from the prompt hash with the prompt as caption
+function fixtureImage(prompt, variant) {
+  const [from, to] = palette(hash(`${prompt}#${variant}`));
+  const caption = escapeXml(prompt.slice(0, 60));
+  return svgBlob(`<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+  <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${from}"/><stop offset="1" stop-color="${to}"/></linearGradient></defs>
+  <rect width="512" height="512" fill="url(#g)"/>
+  <circle cx="256" cy="210" r="90" fill="rgba(255,255,255,0.25)"/>
+  <text x="256" y="380" font-family="sans-serif" font-size="18" fill="white" text-anchor="middle">${caption}</text>
+  <text x="256" y="480" font-family="monospace" font-size="14" fill="rgba(255,255,255,0.7)" text-anchor="middle">mock #${variant + 1}</text>
+</svg>`);
+}
+
+// Stand-in for a video: an animated SVG (no codec needed offline)
+function fixtureVideo(prompt) {
+  const [from, to] = palette(hash(prompt));
+  return svgBlob(`<svg xmlns="http://www.w3.org/2000/svg" width="640" height="360" viewBox="0 0 640 360">
+  <rect width="640" height="360" fill="${to}"/>
+  <circle cx="80" cy="180" r="50" fill="${from}"><animate attributeName="cx" values="80;560;80" dur="4s" repeatCount="indefinite"/></circle>
+  <text x="320" y="330" font-family="sans-serif" font-size="16" fill="white" text-anchor="middle">${escapeXml(prompt.slice(0, 70))}</text>
+</svg>`);
+}
+
+// Emit `text` word by word like a streamed response
+async function streamFixture(text, { signal, onText }) {
+  const words = text.split(/(?<=\s)/);
+  let streamed = '';
+  for (const word of words) {
+    await sleep(CHUNK_DELAY_MS, signal);
+    streamed += word;
+    onText?.(streamed);
+  }
+  return streamed;
+}
+
+// Offline provider returning deterministic fixtures, for development and
+// tests. Nothing it produces is real, so its descriptions aren't cached.
+export const mockProvider = {
+  id: 'mock',
+  label: 'Local mock',
+  description: 'Deterministic placeholder outputs. No network or API key needed.',
+  needsApiKey: false,
+  fixtures: true,
+  capabilities: { analysis: true, streaming: true, video: true },
+
+  isReady() {
+    return true;
+  },
+
+  async analyzePersona(persona, { signal } = {}) {
+    await sleep(CHUNK_DELAY_MS, signal);
+    const frames = persona?.volumetricFrameIds?.length ?? persona?.volumetricFrames?.length ?? 0;
+    return `Mock description of ${persona?.name || 'the persona'}, based on ${frames} captured frames. `
+      + 'Oval face, short dark hair, brown eyes, medium skin tone, neutral expression.';
+  },
+
+  async generateImages(persona, prompt, { signal, onText } = {}) {
+    const text = await streamFixture(`Mock render of "${prompt}".`, { signal, onText });
+    await sleep(VIDEO_STEP_MS, signal);
+    return {
+      images: [0, 1].map(variant => ({ mimeType: 'image/svg+xml', blob: fixtureImage(prompt, variant) })),
+      text,
+      model: 'mock-image'
+    };
+  },
+
+  async generateVideoPrompt(persona, prompt, { description, signal, onText } = {}) {
+    const videoPrompt = `**Video Prompt:**
+${prompt}, featuring ${persona?.name || 'the persona'}. ${description || ''}
+
+**Camera Direction:**
+Slow dolly in, eye level.
+
+**Duration:** 6 seconds
+
+**Style Notes:**
+Soft daylight, shallow depth of field.
+
+**Audio Suggestion:**
+Ambient room tone.`;
+    return {
+      videoPrompt: await streamFixture(videoPrompt, { signal, onText }),
+      personaDescription: description,
+      model: 'mock-text'
+    };
+  },
+
+  async generateVideo(videoPrompt, { signal, onProgress } = {}) {
+    const startedAt = Date.now();
+    const report = (state, extra = {}) => onProgress?.({ state, elapsedMs: Date.now() - startedAt, ...extra });
+    const operationName = `mock/operations/${hash(videoPrompt).toString(16)}`;
+
+    report('submitting');
+    for (let polls = 0; polls < 3; polls++) {
+      await sleep(VIDEO_STEP_MS, signal);
+      report('polling', { operationName, polls });
+    }
+    report('downloading', { operationName });
+    const blob = fixtureVideo(videoPrompt);
+    report('done', { operationName });
+
+    return { blob, mimeType: blob.type, operationName, durationSeconds: 6, model: 'mock-video' };
+  }
+};
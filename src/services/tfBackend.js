@@ -0,0 +1,85 @@
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import wasmUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url';
+import wasmSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url';
+import wasmThreadedSimdUrl from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url';
+
+// Serve the WASM binaries from the app's own assets instead of a CDN
+setWasmPaths({
+  'tfjs-backend-wasm.wasm': wasmUrl,
+  'tfjs-backend-wasm-simd.wasm': wasmSimdUrl,
+  'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdUrl
+});
+
+// Tried in this order; CPU always works but is the slowest
+export const BACKEND_ORDER = ['webgl', 'wasm', 'cpu'];
+
+const WARMUP_RUNS = 2;    // First runs compile shaders / allocate, so aren't timed
+const BENCHMARK_RUNS = 5;
+
+// Switch TF.js to `backend`. False if it can't initialise on this machine.
+async function activate(backend) {
+  try {
+    if (!(await tf.setBackend(backend))) return false;
+    await tf.ready();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Median time of `run` in milliseconds
+async function benchmark(run) {
+  for (let i = 0; i < WARMUP_RUNS; i++) {
+    await run();
+  }
+
+  const times = [];
+  for (let i = 0; i < BENCHMARK_RUNS; i++) {
+    const startedAt = performance.now();
+    await run();
+    times.push(performance.now() - startedAt);
+  }
+  return times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+}
+
+// Time `run` (one inference) on each backend that initialises and keep the
+// fastest. A `preferred` backend, e.g. the winner of an earlier benchmark, is
+// tried first and kept without testing the others if it still works.
+// Resolves with { backend, inferenceMs, results: [{ backend, ok, inferenceMs, error }] }.
+export async function selectBackend(run, { preferred = null, onStatus } = {}) {
+  const candidates = preferred && BACKEND_ORDER.includes(preferred)
+    ? [preferred, ...BACKEND_ORDER.filter(backend => backend !== preferred)]
+    : BACKEND_ORDER;
+  const results = [];
+
+  for (const backend of candidates) {
+    onStatus?.(`Testing ${backend.toUpperCase()} backend...`);
+
+    if (!(await activate(backend))) {
+      results.push({ backend, ok: false, inferenceMs: null, error: 'Not available' });
+      continue;
+    }
+
+    try {
+      results.push({ backend, ok: true, inferenceMs: await benchmark(run), error: null });
+    } catch (error) {
+      results.push({ backend, ok: false, inferenceMs: null, error: error.message || String(error) });
+      continue;
+    }
+
+    if (backend === preferred) break;
+  }
+
+  const working = results.filter(result => result.ok);
+  if (working.length === 0) {
+    throw new Error('No TensorFlow.js backend could run the face model');
+  }
+
+  const fastest = working.reduce((best, result) => (result.inferenceMs < best.inferenceMs ? result : best));
+  if (tf.getBackend() !== fastest.backend) {
+    await activate(fastest.backend);
+  }
+
+  return { backend: fastest.backend, inferenceMs: fastest.inferenceMs, results };
+}
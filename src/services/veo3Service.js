@@ -1,19 +1,80 @@
 import { geminiService } from './geminiService';
+import { dataUrlToBlob } from './database';
+import { geminiRequest, parseRetryAfter, sleep, GeminiRequestError } from './geminiRequest';
+import { generationSettings } from './generationSettings';
+
+const VEO3_CONFIG_STORAGE = 'avatarOS_veo3_settings';
+
+// Video model and endpoint. `baseUrl` follows the Gemini REST layout
+// ({baseUrl}/{apiVersion}/models/{model}:predictLongRunning), so a local mock
+// operation server can stand in for Google's API.
+export const DEFAULT_VEO3_CONFIG = {
+  model: 'veo-3.1-generate-preview',
+  baseUrl: 'https://generativelanguage.googleapis.com',
+  apiVersion: 'v1beta'
+};
+
+// Long-running operation polling: start fast, back off, give up eventually
+const POLL_INITIAL_MS = 5000;
+const POLL_MAX_MS = 30000;
+const POLL_BACKOFF = 1.5;
+const POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+const SUPPORTED_DURATIONS = [4, 6, 8];
+const MAX_REFERENCE_IMAGES = 3;
+
+// Pick the supported clip length closest to "Duration: 10 seconds"-style text
+function parseDurationSeconds(text) {
+  const seconds = parseFloat(text?.match(/\d+(\.\d+)?/)?.[0]);
+  if (!seconds) return SUPPORTED_DURATIONS[SUPPORTED_DURATIONS.length - 1];
+  return SUPPORTED_DURATIONS.reduce((best, option) =>
+    Math.abs(option - seconds) < Math.abs(best - seconds) ? option : best
+  );
+}
 
 export const veo3Service = {
-  // Generate optimized video prompt using persona
-  async generateVideoPrompt(persona, userPrompt, personaDescription = null) {
+  config: { ...DEFAULT_VEO3_CONFIG },
+
+  // Load the video model/endpoint settings from localStorage
+  loadConfig() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(VEO3_CONFIG_STORAGE));
+      this.config = { ...DEFAULT_VEO3_CONFIG, ...saved };
+    } catch (error) {
+      this.config = { ...DEFAULT_VEO3_CONFIG };
+    }
+    return this.config;
+  },
+
+  // Change the video model and/or endpoint
+  configure(config) {
+    this.config = { ...this.config, ...config };
+    if ('baseUrl' in config) {
+      this.config.baseUrl = config.baseUrl?.trim().replace(/\/+$/, '') || DEFAULT_VEO3_CONFIG.baseUrl;
+    }
+    try {
+      localStorage.setItem(VEO3_CONFIG_STORAGE, JSON.stringify(this.config));
+    } catch (error) {
+      console.error('Failed to save Veo3 settings:', error);
+    }
+    return this.config;
+  },
+
+  // Generate optimized video prompt using persona. Streams: `onText` receives
+  // the prompt as it's written, `signal` cancels.
+  async generateVideoPrompt(persona, userPrompt, personaDescription = null, { signal, onText } = {}) {
     if (!geminiService.isInitialized()) {
       throw new Error('Gemini not initialized. Please set API key first.');
     }
 
-    // Get persona description if not provided
+    // Use the cached persona description if none was provided
     let description = personaDescription;
     if (!description) {
-      description = await geminiService.analyzePersona(persona);
+      description = await geminiService.getPersonaDescription(persona, { signal });
     }
 
-    const model = geminiService.genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    const params = generationSettings.modelParams('videoPrompt');
+    const model = geminiService.genAI.getGenerativeModel(params);
 
     const images = [];
 
@@ -64,12 +125,12 @@ Format the output as:
 
 Generate the optimized Veo3 prompt:`;
 
-    const result = await model.generateContent([fullPrompt, ...images]);
-    const response = await result.response;
+    const videoPrompt = await geminiService.streamText(model, [fullPrompt, ...images], { signal, onText });
 
     return {
-      videoPrompt: response.text(),
+      videoPrompt,
       personaDescription: description,
+      model: params.model,
       metadata: {
         frameCount: persona.volumetricFrames?.length || 0,
         hasTextureMap: !!persona.texturePhoto,
@@ -104,42 +165,187 @@ Generate the optimized Veo3 prompt:`;
     return sections;
   },
 
-  // Video prompt templates
-  getTemplates() {
-    return [
-      {
-        id: 'walking',
-        name: 'Walking Scene',
-        prompt: 'Create a video of me walking confidently through a city street'
-      },
-      {
-        id: 'talking',
-        name: 'Talking Head',
-        prompt: 'Generate a video of me speaking to the camera in a professional setting'
-      },
-      {
-        id: 'action',
-        name: 'Action Shot',
-        prompt: 'Create a video of me running through a forest trail at golden hour'
-      },
-      {
-        id: 'cinematic',
-        name: 'Cinematic Portrait',
-        prompt: 'Generate a cinematic slow-motion video of me looking at the camera with dramatic lighting'
-      },
-      {
-        id: 'dance',
-        name: 'Dance Move',
-        prompt: 'Create a video of me doing a simple dance move in a studio with colorful lights'
+  // Build the predictLongRunning request body from parsed prompt sections and
+  // the persona's reference photos (headshot first, then scan frames)
+  buildVideoRequest(sections, persona, { aspectRatio = '16:9', negativePrompt = null } = {}) {
+    const prompt = [
+      sections.mainPrompt,
+      sections.cameraDirection && `Camera: ${sections.cameraDirection}`,
+      sections.styleNotes && `Style: ${sections.styleNotes}`,
+      sections.audioSuggestion && `Audio: ${sections.audioSuggestion}`
+    ].filter(Boolean).join('\n\n');
+
+    const referenceImages = [persona?.texturePhoto, ...(persona?.volumetricFrames || [])]
+      .filter(Boolean)
+      .slice(0, MAX_REFERENCE_IMAGES)
+      .map(image => {
+        const { inlineData } = geminiService.base64ToGenerativePart(image);
+        return {
+          image: { bytesBase64Encoded: inlineData.data, mimeType: inlineData.mimeType },
+          referenceType: 'asset'
+        };
+      });
+
+    const instance = { prompt };
+    if (referenceImages.length > 0) {
+      instance.referenceImages = referenceImages;
+    }
+
+    const parameters = {
+      aspectRatio,
+      durationSeconds: parseDurationSeconds(sections.duration),
+      personGeneration: 'allow_adult',
+      sampleCount: 1
+    };
+    if (negativePrompt) {
+      parameters.negativePrompt = negativePrompt;
+    }
+
+    return { instances: [instance], parameters };
+  },
+
+  // Authenticated JSON request against the configured endpoint.
+  // `retryKinds` is passed on to geminiRequest.run.
+  async request(path, { method = 'GET', body, signal, retryKinds = null } = {}) {
+    const { baseUrl, apiVersion } = this.config;
+    const url = /^https?:/.test(path) ? path : `${baseUrl}/${apiVersion}/${path}`;
+
+    return geminiRequest.run(async () => {
+      const response = await fetch(url, {
+        method,
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': geminiService.apiKey
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const data = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw Object.assign(
+          new Error(`Veo3 request failed (${response.status}): ${data?.error?.message || response.statusText}`),
+          {
+            status: response.status,
+            errorDetails: data?.error?.details,
+            retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+          }
+        );
       }
-    ];
+      return data;
+    }, { signal, retryKinds });
   },
 
-  // Note: Actual Veo3 API integration would go here
-  // Currently, Veo3 is available through:
-  // - Google AI Studio (limited)
-  // - Vertex AI (enterprise)
-  //
-  // When public API becomes available, implement:
-  // async generateVideo(prompt, options) { ... }
+  // Generate a video. `prompt` is the raw output of generateVideoPrompt (or any
+  // text); its sections are parsed into the job. Polls the long-running
+  // operation with backoff until done. Options: persona (reference images),
+  // signal (AbortSignal to cancel), onProgress({ state, operationName,
+  // elapsedMs, polls }), pollIntervalMs (first poll delay), aspectRatio,
+  // negativePrompt.
+  // Resolves with { blob, mimeType, operationName, durationSeconds }.
+  async generateVideo(prompt, options = {}) {
+    const { persona = null, signal, onProgress, pollIntervalMs = POLL_INITIAL_MS, ...requestOptions } = options;
+
+    if (!geminiService.isInitialized()) {
+      throw new Error('Gemini not initialized. Please set API key first.');
+    }
+
+    const sections = this.parseVideoPrompt(prompt);
+    if (!sections.mainPrompt) {
+      sections.mainPrompt = prompt.trim();
+    }
+    const body = this.buildVideoRequest(sections, persona, requestOptions);
+    const startedAt = Date.now();
+    const report = (state, extra = {}) => onProgress?.({ state, elapsedMs: Date.now() - startedAt, ...extra });
+
+    // Only a 429 proves the job wasn't accepted. After a network error, 5xx
+    // or timeout it may be running already, and a retry would start (and bill)
+    // a second one.
+    report('submitting');
+    let operation = await this.request(`models/${this.config.model}:predictLongRunning`, {
+      method: 'POST',
+      body,
+      signal,
+      retryKinds: ['quota']
+    });
+    const operationName = operation.name;
+
+    try {
+      let delay = pollIntervalMs;
+      let polls = 0;
+      while (!operation.done) {
+        if (Date.now() - startedAt > POLL_TIMEOUT_MS) {
+          // The job keeps running (and billing) server-side unless cancelled
+          this.cancelOperation(operationName);
+          throw new Error(`Video generation timed out after ${POLL_TIMEOUT_MS / 60000} minutes. Cancellation of ${operationName} was requested, but the job may still complete and be billed.`);
+        }
+        report('polling', { operationName, polls });
+        await sleep(delay, signal);
+        delay = Math.min(delay * POLL_BACKOFF, POLL_MAX_MS);
+        polls += 1;
+        operation = await this.request(operationName, { signal });
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.cancelOperation(operationName);
+      }
+      throw error;
+    }
+
+    if (operation.error) {
+      throw new Error(`Video generation failed: ${operation.error.message || 'unknown error'}`);
+    }
+
+    report('downloading', { operationName });
+    const blob = await this.downloadVideo(operation.response, signal);
+    report('done', { operationName });
+
+    return {
+      blob,
+      mimeType: blob.type,
+      operationName,
+      durationSeconds: body.parameters.durationSeconds
+    };
+  },
+
+  // Turn a finished operation response into a Blob. The Gemini API returns a
+  // download URI; Vertex-style responses inline the bytes.
+  async downloadVideo(response, signal) {
+    const sample = response?.generateVideoResponse?.generatedSamples?.[0]?.video || response?.videos?.[0];
+    if (!sample) {
+      const filtered = response?.generateVideoResponse?.raiMediaFilteredReasons?.[0];
+      throw filtered
+        ? new GeminiRequestError(`Video was blocked: ${filtered}`, { kind: 'safety' })
+        : new Error('Video generation returned no video');
+    }
+
+    if (sample.bytesBase64Encoded) {
+      return dataUrlToBlob(`data:${sample.mimeType || 'video/mp4'};base64,${sample.bytesBase64Encoded}`);
+    }
+
+    // Downloading is safe to repeat, so transient failures are retried
+    const blob = await geminiRequest.run(async () => {
+      const download = await fetch(sample.uri, {
+        signal,
+        headers: { 'x-goog-api-key': geminiService.apiKey }
+      });
+      if (!download.ok) {
+        throw Object.assign(new Error(`Video download failed (${download.status})`), { status: download.status });
+      }
+      return download.blob();
+    }, { signal });
+    return blob.type.startsWith('video/') ? blob : new Blob([blob], { type: sample.mimeType || 'video/mp4' });
+  },
+
+  // Ask the server to stop a running operation. Best effort: not every
+  // endpoint supports it, and the local job is abandoned either way.
+  cancelOperation(operationName) {
+    if (!operationName) return;
+    this.request(`${operationName}:cancel`, { method: 'POST', body: {} }).catch(error => {
+      console.warn('Could not cancel video operation:', error.message);
+    });
+  }
 };
+
+// Load saved video settings on module load
+veo3Service.loadConfig();
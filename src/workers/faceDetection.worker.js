@@ -0,0 +1,79 @@
+import { selectBackend } from '../services/tfBackend';
+import { loadFaceDetector } from '../services/faceDetectors';
+
+// Live face detection for the capture HUD, run off the main thread.
+//
+// Input:  { type: 'init', detector, modelSources, preferredBackend } once, then
+//         { type: 'detect', frame: ImageBitmap, scale } (the bitmap is transferred;
+//         `scale` is its size relative to the video)
+// Output: { type: 'status', message } while loading
+//         { type: 'ready', diagnostics: { backend, inferenceMs, results } } once loaded
+//         { type: 'faces', faces: [{ topLeft, bottomRight, landmarks, probability, mesh }], inferenceMs }
+//         with coordinates in full video pixels
+//      or { type: 'error', message } when the model can't be loaded
+
+// Benchmark input: a blank frame at the size the hook sends
+const BENCHMARK_WIDTH = 640;
+const BENCHMARK_HEIGHT = 480;
+
+let canvas = null;
+let ctx = null;
+let detectorPromise = null;
+
+async function loadDetector(id, modelSources, preferredBackend) {
+  const status = (message) => self.postMessage({ type: 'status', message });
+
+  const detector = await loadFaceDetector(id, modelSources, { onStatus: status });
+
+  const blank = new ImageData(BENCHMARK_WIDTH, BENCHMARK_HEIGHT);
+  const diagnostics = await selectBackend(
+    () => detector.estimate(blank),
+    { preferred: preferredBackend, onStatus: status }
+  );
+
+  self.postMessage({ type: 'ready', diagnostics });
+  return detector;
+}
+
+async function detect(frame, scale) {
+  const detector = await detectorPromise;
+
+  if (!canvas || canvas.width !== frame.width || canvas.height !== frame.height) {
+    canvas = new OffscreenCanvas(frame.width, frame.height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  ctx.drawImage(frame, 0, 0);
+  frame.close();
+
+  const startedAt = performance.now();
+  const predictions = await detector.estimate(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  const inferenceMs = performance.now() - startedAt;
+
+  const toVideo = (point) => point.map(value => value / scale);
+  const faces = predictions.map(face => ({
+    topLeft: toVideo(face.topLeft),
+    bottomRight: toVideo(face.bottomRight),
+    landmarks: face.landmarks.map(toVideo),
+    probability: face.probability,
+    mesh: face.mesh && face.mesh.map(toVideo)
+  }));
+
+  return { faces, inferenceMs };
+}
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'init') {
+    detectorPromise = loadDetector(data.detector, data.modelSources, data.preferredBackend);
+    detectorPromise.catch(error => self.postMessage({ type: 'error', message: error.message || String(error) }));
+    return;
+  }
+  if (data.type !== 'detect') return;
+
+  try {
+    self.postMessage({ type: 'faces', ...(await detect(data.frame, data.scale)) });
+  } catch (error) {
+    // Report no faces so the caller's loop keeps going
+    console.error('Face detection error:', error);
+    self.postMessage({ type: 'faces', faces: [], inferenceMs: 0 });
+  }
+};
@@ -0,0 +1,292 @@
+import * as tf from '@tensorflow/tfjs';
+import { loadFaceDetector } from '../services/faceDetectors';
+import { estimateHeadPose } from '../services/headPose';
+import { frameQuality, ANALYSIS_WIDTH, DEFAULT_QUALITY_THRESHOLDS } from '../services/frameQuality';
+import { CAPTURE_PLAN, poseMatches } from '../services/capturePlan';
+
+// Post-capture processing pipeline, run off the main thread.
+//
+// Input:  { frames: [{ id, stageId, phase, blob, qualityOverrides }], modelSources } (BlazeFace)
+// Output: { type: 'progress', stage, completed, total } while working, then
+//         { type: 'result', result, crops: [{ frameId, blob }] }
+//      or { type: 'error', message }
+
+// Normalized face crops: square, face centred, eyes levelled
+const CROP_SIZE = 256;
+const CROP_FACE_SCALE = 0.6;   // Share of the crop taken by the larger side of the face box
+const MAX_ALIGN_ROLL = 30;     // Don't level heads tilted further than this (likely a bad detection)
+const CROP_QUALITY = 0.9;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+let detectorPromise = null;
+
+function loadDetector(modelSources) {
+  if (!detectorPromise) {
+    detectorPromise = tf.ready().then(() => loadFaceDetector('blazeface', modelSources));
+  }
+  return detectorPromise;
+}
+
+// Decode each still and keep a downscaled copy for analysis
+async function decodeFrames(frames, report) {
+  const decoded = [];
+
+  for (const [index, frame] of frames.entries()) {
+    try {
+      const bitmap = await createImageBitmap(frame.blob);
+      const scale = ANALYSIS_WIDTH / bitmap.width;
+      const width = ANALYSIS_WIDTH;
+      const height = Math.round(bitmap.height * scale);
+
+      const canvas = new OffscreenCanvas(width, height);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(bitmap, 0, 0, width, height);
+
+      decoded.push({ ...frame, bitmap, scale, imageData: ctx.getImageData(0, 0, width, height) });
+    } catch (error) {
+      console.warn(`Skipping unreadable frame ${frame.id}:`, error);
+    }
+    report('decode', index + 1, frames.length);
+  }
+
+  return decoded;
+}
+
+// Detect the most confident face per frame. Coordinates are converted back to
+// full-resolution pixels. Stored stills are mirrored, so yaw and roll are flipped
+// to match the live (unmirrored) convention used by the capture plan.
+async function extractLandmarks(frames, modelSources, report, warnings) {
+  let detector = null;
+  if (frames.length > 0) {
+    try {
+      detector = await loadDetector(modelSources);
+    } catch (error) {
+      warnings.push(`Face model unavailable: ${error.message}`);
+    }
+  }
+
+  for (const [index, frame] of frames.entries()) {
+    frame.face = null;
+
+    if (detector) {
+      const predictions = await detector.estimate(frame.imageData);
+      const best = predictions.sort((a, b) => b.probability - a.probability)[0];
+
+      if (best) {
+        const toFull = ([x, y]) => [x / frame.scale, y / frame.scale];
+        const topLeft = toFull(best.topLeft);
+        const bottomRight = toFull(best.bottomRight);
+        const landmarks = best.landmarks.map(toFull);
+        const pose = estimateHeadPose(landmarks);
+
+        frame.face = {
+          confidence: best.probability,
+          position: {
+            topLeft,
+            bottomRight,
+            width: bottomRight[0] - topLeft[0],
+            height: bottomRight[1] - topLeft[1]
+          },
+          landmarks,
+          pose: pose && { yaw: -pose.yaw, pitch: pose.pitch, roll: -pose.roll }
+        };
+      }
+    }
+
+    report('landmarks', index + 1, frames.length);
+  }
+}
+
+// Cut a square crop around the face, levelled by the eye line
+function normalizeCrop(frame) {
+  const { position, landmarks } = frame.face;
+  const centerX = (position.topLeft[0] + position.bottomRight[0]) / 2;
+  const centerY = (position.topLeft[1] + position.bottomRight[1]) / 2;
+  const scale = (CROP_SIZE * CROP_FACE_SCALE) / Math.max(position.width, position.height);
+
+  // Eye line angle in image coordinates (left-most eye first)
+  const [eyeA, eyeB] = [landmarks[0], landmarks[1]].sort((a, b) => a[0] - b[0]);
+  const tilt = (Math.atan2(eyeB[1] - eyeA[1], eyeB[0] - eyeA[0]) * 180) / Math.PI;
+  const roll = Math.max(-MAX_ALIGN_ROLL, Math.min(MAX_ALIGN_ROLL, tilt));
+
+  const canvas = new OffscreenCanvas(CROP_SIZE, CROP_SIZE);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, CROP_SIZE, CROP_SIZE);
+  ctx.translate(CROP_SIZE / 2, CROP_SIZE / 2);
+  ctx.rotate(toRadians(-roll));
+  ctx.scale(scale, scale);
+  ctx.translate(-centerX, -centerY);
+  ctx.drawImage(frame.bitmap, 0, 0);
+
+  return canvas.convertToBlob({ type: 'image/jpeg', quality: CROP_QUALITY });
+}
+
+async function normalizeCrops(frames, report) {
+  const crops = [];
+
+  for (const [index, frame] of frames.entries()) {
+    if (frame.face) {
+      crops.push({ frameId: frame.id, blob: await normalizeCrop(frame) });
+    }
+    frame.bitmap.close();
+    report('normalize', index + 1, frames.length);
+  }
+
+  return crops;
+}
+
+// Every pose the capture plan asks for. Sequence phases are measured relative
+// to the neutral ("Look Center") pose, like during capture.
+function coverageTargets() {
+  return CAPTURE_PLAN.flatMap(stage => {
+    if (stage.sequence) {
+      return stage.sequence.map(phase => ({
+        id: `${stage.id}.${phase.id}`,
+        label: phase.instruction,
+        pose: phase.pose,
+        relative: true
+      }));
+    }
+    return stage.expected?.pose
+      ? [{ id: stage.id, label: stage.title, pose: stage.expected.pose, relative: false }]
+      : [];
+  });
+}
+
+function computeCoverage(frames, report) {
+  const poses = frames.map(frame => frame.face?.pose).filter(Boolean);
+  const neutralFrame = frames.find(frame => frame.phase === 'center' && frame.face?.pose) ||
+    frames.find(frame => frame.stageId === CAPTURE_PLAN[0].id && frame.face?.pose);
+  const neutral = neutralFrame?.face.pose || { yaw: 0, pitch: 0, roll: 0 };
+  const relativePoses = poses.map(pose => ({
+    yaw: pose.yaw - neutral.yaw,
+    pitch: pose.pitch - neutral.pitch,
+    roll: pose.roll - neutral.roll
+  }));
+
+  const targets = coverageTargets();
+  const results = targets.map((target, index) => {
+    const candidates = target.relative ? relativePoses : poses;
+    report('coverage', index + 1, targets.length);
+    return {
+      id: target.id,
+      label: target.label,
+      covered: candidates.some(pose => poseMatches(pose, target.pose))
+    };
+  });
+
+  const range = (axis) => poses.length
+    ? [round(Math.min(...poses.map(pose => pose[axis]))), round(Math.max(...poses.map(pose => pose[axis])))]
+    : null;
+  const covered = results.filter(target => target.covered).length;
+
+  return {
+    targets: results,
+    covered,
+    total: results.length,
+    ratio: results.length ? round(covered / results.length, 2) : 0,
+    yawRange: range('yaw'),
+    pitchRange: range('pitch')
+  };
+}
+
+// Score every frame against the capture thresholds and summarize the set
+function summarizeQuality(frames, report) {
+  const perFrame = frames.map((frame, index) => {
+    const thresholds = { ...DEFAULT_QUALITY_THRESHOLDS, ...frame.qualityOverrides };
+    const position = frame.face?.position || null;
+    const region = position && {
+      x1: Math.floor(position.topLeft[0] * frame.scale),
+      y1: Math.floor(position.topLeft[1] * frame.scale),
+      x2: Math.ceil(position.bottomRight[0] * frame.scale),
+      y2: Math.ceil(position.bottomRight[1] * frame.scale)
+    };
+    const fullWidth = frame.imageData.width / frame.scale;
+    const fullHeight = frame.imageData.height / frame.scale;
+    const geometry = frameQuality.faceGeometry(position, fullWidth, fullHeight, thresholds.edgeMargin);
+
+    const { histogram, ...measured } = frameQuality.measure(frame.imageData, region);
+    const scores = {
+      ...measured,
+      faceRatio: round(geometry.faceRatio, 3),
+      confidence: round(frame.face?.confidence || 0, 3)
+    };
+    const verdict = frameQuality.evaluate(scores, { faceDetected: !!position, touchesEdge: geometry.touchesEdge }, thresholds);
+
+    report('quality', index + 1, frames.length);
+    return { accepted: verdict.accepted, issues: verdict.issues, scores };
+  });
+
+  const mean = (values) => values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+  const issueCounts = {};
+  perFrame.forEach(entry => entry.issues.forEach(issue => {
+    issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+  }));
+  const passed = perFrame.filter(entry => entry.accepted).length;
+
+  return {
+    perFrame,
+    summary: {
+      frameCount: perFrame.length,
+      passed,
+      passRate: perFrame.length ? round(passed / perFrame.length, 2) : 0,
+      meanSharpness: mean(perFrame.map(entry => entry.scores.sharpness)),
+      minSharpness: perFrame.length ? Math.min(...perFrame.map(entry => entry.scores.sharpness)) : null,
+      meanBrightness: mean(perFrame.map(entry => entry.scores.brightness)),
+      issueCounts
+    }
+  };
+}
+
+self.onmessage = async (event) => {
+  const startedAt = performance.now();
+  const report = (stage, completed, total) => {
+    self.postMessage({ type: 'progress', stage, completed, total });
+  };
+
+  try {
+    const warnings = [];
+    const frames = await decodeFrames(event.data.frames || [], report);
+    await extractLandmarks(frames, event.data.modelSources, report, warnings);
+    const crops = await normalizeCrops(frames, report);
+    const coverage = computeCoverage(frames, report);
+    const quality = summarizeQuality(frames, report);
+
+    const frameResults = {};
+    frames.forEach((frame, index) => {
+      const face = frame.face;
+      frameResults[frame.id] = {
+        stageId: frame.stageId,
+        phase: frame.phase,
+        detected: !!face,
+        confidence: face ? round(face.confidence, 3) : 0,
+        box: face
+          ? { x: round(face.position.topLeft[0]), y: round(face.position.topLeft[1]), width: round(face.position.width), height: round(face.position.height) }
+          : null,
+        landmarks: face ? face.landmarks.map(([x, y]) => [round(x), round(y)]) : null,
+        pose: face?.pose ? { yaw: round(face.pose.yaw), pitch: round(face.pose.pitch), roll: round(face.pose.roll) } : null,
+        quality: quality.perFrame[index]
+      };
+    });
+
+    self.postMessage({
+      type: 'result',
+      result: {
+        processedAt: new Date().toISOString(),
+        durationMs: Math.round(performance.now() - startedAt),
+        frameCount: frames.length,
+        faceCount: frames.filter(frame => frame.face).length,
+        frames: frameResults,
+        coverage,
+        quality: quality.summary,
+        warnings
+      },
+      crops
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};